@@ -38,9 +38,44 @@
  *   rlineTo, rmoveTo, etc.
  *
  * - Turtle-graphics methods such as penDown(), forward(), right(), etc.
+ *   The turtle's heading and penState are attributes, saved by save().
  * 
- * - A polygon method for connecting a list of coordinates, with optional
- *   rounded corners.
+ * - polygon() and polyline() methods for connecting a list of points,
+ *   with optional rounded corners.  Points may be passed as numbers,
+ *   [x,y] arrays or {x,y} objects.
+ *
+ * - curveThrough() and closedCurveThrough() draw smooth curves through
+ *   a list of points
+ *
+ * - lineDash and lineDashOffset attributes, with named dash patterns.
+ *   Canto draws the dashes itself where the canvas cannot.
+ *
+ * - markerStart, markerMid and markerEnd attributes draw arrowheads and
+ *   other markers on stroked paths.
+ *
+ * - Default attributes come from the CSS style and data- attributes of
+ *   the canvas element, as in <canvas data-line-width="5">
+ *
+ * - group() draws a group of shapes with its own attributes and
+ *   transformation, like an SVG <g> element, and restores the graphics
+ *   state even if the drawing throws an exception.  Setting canto.debug
+ *   reports unbalanced save() and restore() calls.
+ *
+ * - canto.defineMethod() adds new drawing methods that accept attribute
+ *   arguments like the built-in ones.
+ *
+ * - Symbolic attribute values such as "$accent" are looked up in themes
+ *   and in the data- attributes of the canvas
+ *
+ * - <script type="x-text/canto"> elements are replaced with canvases
+ *   that the scripts draw into when the document loads
+ *
+ * - canto.color() parses CSS colors into color objects with methods like
+ *   lighten() and mix().  Color objects can be used as attribute values.
+ *
+ * - canto.hatch(), canto.crosshatch(), canto.stripes(), canto.dots() and
+ *   canto.checkerboard() generate patterns, and createPattern() accepts a
+ *   function that draws the pattern tile.
  *
  * - Short aliases for path generation methods, using the SVG path command
  *   letters.  m is relative moveto, L is absolute lineto, z is closePath, etc.
@@ -49,6 +84,9 @@
  *   d attribute of the SVG <path> element. This is a very compact way
  *   to describe paths.
  * 
+ * - A static canto.compileSVGPath() function that parses an SVG path
+ *   string once and returns a function that draws it into any canto.
+ * 
  * - An angleUnit attribute that you can set to "degrees" instead of
  *   the default "radians"
  * 
@@ -82,6 +120,30 @@
  * - the create*Gradient() methods accept a list of color stops so you can
  *   create gradients in a single step
  * 
+ * - viewBox() sets up a user coordinate system the way the SVG viewBox
+ *   attribute does, and flipY() makes the Y axis point up
+ *
+ * - Canto keeps a record of the current path.  getPath() returns it as
+ *   an array of segments and toSVGPath() returns it as an SVG path string.
+ *   getPathBounds() returns its exact bounding box, getTotalLength(),
+ *   getPointAtLength() and getPathSegment() measure it, and flattenPath()
+ *   approximates it with polylines.
+ *
+ * - canto.lsystem() expands an L-system and draws it with turtle graphics
+ *
+ * - canto.path() returns a reusable path object with the same path
+ *   building methods.  Build it once and pass it to fill(), stroke(),
+ *   paint(), clip() or isPointInPath() of any canto.
+ *
+ * - canto.recordingCanvas() returns a stand-in canvas whose context
+ *   records calls instead of drawing, for testing canto without a browser.
+ *
+ * - canto.svg() returns a canto that draws into an SVG document instead
+ *   of a canvas.  Its toSVGString() method returns the SVG markup.
+ *
+ * - tag() retains the next drawn shape, hitTest() finds the shape at a
+ *   point, and addShapeListener() dispatches mouse events to shapes.
+ *
  * - A new method textWidth(txt) that returns measureText(txt).width
  *
  * - A canto() object implements the Canvas2DContext API, but also implements
@@ -90,22 +152,15 @@
  *
  * - a reset() method that clears and resets the state of the canvas
  *
+ * - Canto tracks the current transformation matrix across save() and
+ *   restore(), so the current point survives translate(), rotate() and
+ *   the other transformations, and relative motion commands keep working.
+ *   getTransform(), transformPoint() and inverseTransformPoint() expose
+ *   the matrix.
+ *
  * Current limitations:
  * 
  * - Canto uses getters and setters; therefore, it does not work in IE.
- * 
- * - Canto does not keep track of the current point or the start of
- *   the current subpath across transformations.  This means that if
- *   you do a transform (translate, scale, rotate, transform, setTransform)
- *   you cannot use relative motion commands until you have established
- *   a new current point (with moveTo() or lineTo(), for example).  Also,
- *   you cannot use a relative motion command after closePath() if you
- *   performed a transformation after establishing the initial point of
- *   that subpath. This also applies to the non-relative path commands 
- *   H(), V(), S(), T(), A(), and arcTo(). This restriction won't effect you
- *   if you set up your coordinate transformations before defining your
- *   paths.  The fix to this limitation involves tracking the current 
- *   transformation matrix across save/restore boundaries.
  */
 
 
@@ -185,6 +240,10 @@ var canto = (function() {  // This function returns the canto() function
         return image;
     }
 
+    function isArray(x) {
+        return Object.prototype.toString.call(x) === "[object Array]";
+    }
+
     function slice(arraylike, from, to) {
         if (to === undefined) to = arraylike.length;
         return Array.prototype.slice.call(arraylike, from, to);
@@ -194,7 +253,7 @@ var canto = (function() {  // This function returns the canto() function
         if (args.length % 2 !== 0) 
             throw new Error("wrong number of arguments");
         for(var i = 0; i < args.length; i+=2) 
-            gradient.addColorStop(args[i], args[i+1]);
+            gradient.addColorStop(args[i], colorValue(args[i+1]));
     }
 
     // Utility to check that args.length === n or (args.length % m) === n
@@ -232,6 +291,882 @@ var canto = (function() {  // This function returns the canto() function
                  y*cos(angle) + x*sin(angle)];
     }
 
+    /*
+     * Transformation matrices are arrays [a,b,c,d,e,f] holding the six
+     * values in the order used by the 2D transform() method, so the
+     * point (x,y) maps to (a*x + c*y + e, b*x + d*y + f).
+     */
+    var identity = [1,0,0,1,0,0];
+
+    // Return the matrix that applies n and then m.
+    function multiplyMatrix(m, n) {
+        return [m[0]*n[0] + m[2]*n[1],
+                m[1]*n[0] + m[3]*n[1],
+                m[0]*n[2] + m[2]*n[3],
+                m[1]*n[2] + m[3]*n[3],
+                m[0]*n[4] + m[2]*n[5] + m[4],
+                m[1]*n[4] + m[3]*n[5] + m[5]];
+    }
+
+    // Return the inverse of m, or null if m is not invertible
+    function invertMatrix(m) {
+        var det = m[0]*m[3] - m[1]*m[2];
+        if (!det) return null;
+        return [ m[3]/det, -m[1]/det, -m[2]/det, m[0]/det,
+                 (m[2]*m[5] - m[3]*m[4])/det,
+                 (m[1]*m[4] - m[0]*m[5])/det];
+    }
+
+    function applyMatrix(m, x, y) {
+        return [m[0]*x + m[2]*y + m[4], m[1]*x + m[3]*y + m[5]];
+    }
+
+    // Make m the current transformation matrix of the canto c.
+    // Points already on the path stay put on the canvas, so the current
+    // point, subpath start, last control points and the recorded path are
+    // mapped from the old user coordinate system into the new one.  If the
+    // new matrix is not invertible, those points become undefined and the
+    // recorded path is discarded.
+    function changeTransform(c, m) {
+        var inverse = invertMatrix(m);
+        var t = inverse && multiplyMatrix(inverse, c._matrix);
+        c._matrix = m;
+
+        function remap(p) {
+            if (!p || p[0] === undefined || !t) return undefined;
+            return applyMatrix(t, p[0], p[1]);
+        }
+
+        var p = remap([c.currentX, c.currentY]) || [];
+        c.currentX = p[0];
+        c.currentY = p[1];
+        p = remap([c.startSubpathX, c.startSubpathY]) || [];
+        c.startSubpathX = p[0];
+        c.startSubpathY = p[1];
+        c._lastCCP = remap(c._lastCCP);
+        c._lastQCP = remap(c._lastQCP);
+
+        if (!t) c._path = [];
+        for(var i = 0; i < c._path.length; i++)
+            c._path[i] = transformSegment(c._path[i], t);
+        c._measures = null;
+    }
+
+    /*
+     * Canto keeps a record of the current path as an array of segments
+     * in the current user coordinate system.  Each segment is an array
+     * whose first element is the segment type:
+     *
+     *   ["M", x, y]
+     *   ["L", x, y]
+     *   ["Q", cx, cy, x, y]
+     *   ["C", cx1, cy1, cx2, cy2, x, y]
+     *   ["Z"]
+     *   ["ellipse", cx, cy, rx, ry, rotation, sa, ea, anticlockwise]
+     *
+     * All coordinates are absolute. The angles of an ellipse segment are
+     * in radians, and the end angle is normalized the way the canvas
+     * arc() method does it, so that ea-sa is the signed sweep of the arc.
+     * The start of an arc is always the end of the previous segment.
+     */
+
+    // Add segments to the record of the current path
+    function record(c /*, segments... */) {
+        for(var i = 1; i < arguments.length; i++)
+            c._path.push(arguments[i]);
+        c._measures = null;
+    }
+
+    // These functions add a segment to both the 2D context and the record
+    function moveto(c,x,y) { c._.moveTo(x,y); record(c, ["M",x,y]); }
+    function lineto(c,x,y) { c._.lineTo(x,y); record(c, ["L",x,y]); }
+    function closepath(c) { c._.closePath(); record(c, ["Z"]); }
+    function quadto(c,cx,cy,x,y) {
+        c._.quadraticCurveTo(cx,cy,x,y);
+        record(c, ["Q",cx,cy,x,y]);
+    }
+    function curveto(c,cx1,cy1,cx2,cy2,x,y) {
+        c._.bezierCurveTo(cx1,cy1,cx2,cy2,x,y);
+        record(c, ["C",cx1,cy1,cx2,cy2,x,y]);
+    }
+
+    // The path segments of the rectangle x,y,w,h
+    function rectSegments(x,y,w,h) {
+        return [["M", x, y], ["L", x+w, y], ["L", x+w, y+h],
+                ["L", x, y+h], ["Z"]];
+    }
+
+    // Record a straight line from the current point, if there is one,
+    // to (x,y), or a moveto if there is not.
+    function recordLine(c,x,y) {
+        if (c.currentX === undefined) record(c, ["M",x,y]);
+        else if (abs(x-c.currentX) > 1e-9 || abs(y-c.currentY) > 1e-9)
+            record(c, ["L",x,y]);
+    }
+
+    // Return the signed angle swept by the canvas arc() method
+    // for the specified start angle, end angle and direction.
+    function arcSweep(sa, ea, anticlockwise) {
+        if (!anticlockwise) {
+            if (ea - sa >= twopi) return twopi;
+            var sweep = (ea - sa) % twopi;
+            return sweep < 0 ? sweep + twopi : sweep;
+        }
+        else {
+            if (sa - ea >= twopi) return -twopi;
+            var sweep = (sa - ea) % twopi;
+            return sweep < 0 ? -(sweep + twopi) : -sweep;
+        }
+    }
+
+    // Return the path segment for an arc of the canvas arc() method
+    // or of the canto ellipse() method
+    function ellipseSegment(cx,cy,rx,ry,rotation,sa,ea,anticlockwise) {
+        return ["ellipse", cx, cy, rx, ry, rotation,
+                sa, sa + arcSweep(sa, ea, anticlockwise),
+                Boolean(anticlockwise)];
+    }
+
+    // Record an elliptical arc, along with the line that the canvas
+    // draws from the current point to the start of the arc.
+    function recordArc(c,cx,cy,rx,ry,rotation,sa,ea,anticlockwise) {
+        var sp = rotatePoint(rx*cos(sa), ry*sin(sa), rotation);
+        recordLine(c, cx + sp[0], cy + sp[1]);
+        record(c, ellipseSegment(cx,cy,rx,ry,rotation,sa,ea,anticlockwise));
+    }
+
+    // Compute the arc that the canvas arcTo() method draws from P0 to
+    // the lines P0-P1 and P1-P2.  Returns an array holding the center,
+    // the start and end angles, the direction and the point where the
+    // arc touches P1-P2, or null if arcTo() would just draw a line to P1.
+    function arcToGeometry(x0,y0,x1,y1,x2,y2,r) {
+        var dx1 = x0-x1, dy1 = y0-y1;  // Vector from P1 to P0
+        var dx2 = x2-x1, dy2 = y2-y1;  // Vector from P1 to P2
+        var l1 = sqrt(dx1*dx1 + dy1*dy1), l2 = sqrt(dx2*dx2 + dy2*dy2);
+        if (!r || !l1 || !l2) return null;
+        var cross = dx1*dy2 - dy1*dx2;
+        if (abs(cross) <= 1e-12*l1*l2) return null;  // Collinear points
+
+        // The angle between the two lines, between 0 and pi
+        var theta = abs(angleBetweenVectors(dx1, dy1, dx2, dy2));
+
+        // Distance from P1 to the tangent points and to the center
+        var d = r/tan(theta/2);
+        var h = r/sin(theta/2);
+
+        // The center lies on the bisector of the angle
+        var bx = dx1/l1 + dx2/l2, by = dy1/l1 + dy2/l2;
+        var bl = sqrt(bx*bx + by*by);
+        var cx = x1 + h*bx/bl, cy = y1 + h*by/bl;
+
+        var t1x = x1 + d*dx1/l1, t1y = y1 + d*dy1/l1;
+        var t2x = x1 + d*dx2/l2, t2y = y1 + d*dy2/l2;
+        return [cx, cy,
+                Math.atan2(t1y-cy, t1x-cx), Math.atan2(t2y-cy, t2x-cx),
+                cross > 0, t2x, t2y];
+    }
+
+    // Serialize an array of path segments using SVG path syntax.
+    // If precision is defined, round numbers to that many decimal places.
+    function pathToSVG(segments, precision) {
+        function num(x) {
+            return String(precision === undefined ? x
+                          : Number(x.toFixed(precision)));
+        }
+
+        var d = [];
+        for(var i = 0; i < segments.length; i++) {
+            var segment = segments[i], type = segment[0];
+            if (type !== "ellipse") {
+                var s = type;
+                for(var j = 1; j < segment.length; j++)
+                    s += (j > 1 ? " " : "") + num(segment[j]);
+                d.push(s);
+                continue;
+            }
+
+            // An SVG arc command can't draw a full ellipse, so those
+            // are split into two halves.
+            var cx = segment[1], cy = segment[2];
+            var rx = segment[3], ry = segment[4], rotation = segment[5];
+            var sa = segment[6], sweep = segment[7] - sa;
+            var pieces = abs(sweep) >= twopi - 1e-9 ? 2 : 1;
+            for(var k = 1; k <= pieces; k++) {
+                var p = rotatePoint(rx*cos(sa + sweep*k/pieces),
+                                    ry*sin(sa + sweep*k/pieces), rotation);
+                d.push("A" + [num(rx), num(ry), num(rotation*180/pi),
+                              abs(sweep/pieces) > pi ? 1 : 0,
+                              sweep > 0 ? 1 : 0,
+                              num(cx + p[0]), num(cy + p[1])].join(" "));
+            }
+        }
+        return d.join(" ");
+    }
+
+    // Add an elliptical arc to t, which is a 2D context or a Path2D object.
+    // Path2D objects have no transformation methods, but do have ellipse().
+    function addEllipse(t,cx,cy,rx,ry,rotation,sa,ea,anticlockwise) {
+        if (!t.translate) {
+            t.ellipse(cx,cy,rx,ry,rotation,sa,ea,anticlockwise);
+            return;
+        }
+        t.translate(cx,cy);
+        t.rotate(rotation);
+        t.scale(rx/ry,1);
+        t.arc(0,0,ry,sa,ea,anticlockwise);
+        t.scale(ry/rx,1);
+        t.rotate(-rotation);
+        t.translate(-cx,-cy);
+    }
+
+    // Issue the path methods of the 2D context or Path2D object t
+    // that define the recorded path segments
+    function replayPath(t, segments) {
+        for(var i = 0; i < segments.length; i++) {
+            var s = segments[i];
+            switch(s[0]) {
+            case "M": t.moveTo(s[1],s[2]); break;
+            case "L": t.lineTo(s[1],s[2]); break;
+            case "Q": t.quadraticCurveTo(s[1],s[2],s[3],s[4]); break;
+            case "C": t.bezierCurveTo(s[1],s[2],s[3],s[4],s[5],s[6]); break;
+            case "Z": t.closePath(); break;
+            case "ellipse":
+                addEllipse(t,s[1],s[2],s[3],s[4],s[5],s[6],s[7],s[8]);
+                break;
+            }
+        }
+    }
+
+    // Return a copy of a path segment, mapped through the matrix m
+    function transformSegment(segment, m) {
+        if (segment[0] === "ellipse") return transformEllipse(segment, m);
+        var result = [segment[0]];
+        for(var i = 1; i < segment.length; i += 2) {
+            var p = applyMatrix(m, segment[i], segment[i+1]);
+            result.push(p[0], p[1]);
+        }
+        return result;
+    }
+
+    // Map an ellipse segment through the matrix m.  The image of an
+    // ellipse under an affine transformation is another ellipse, whose
+    // axes we find from the images of a pair of conjugate radii.
+    function transformEllipse(segment, m) {
+        var rx = segment[3], ry = segment[4], rotation = segment[5];
+        var center = applyMatrix(m, segment[1], segment[2]);
+        var linear = [m[0], m[1], m[2], m[3], 0, 0];
+
+        // The images of the two radii of the original ellipse
+        var u = applyMatrix(linear, rx*cos(rotation), rx*sin(rotation));
+        var v = applyMatrix(linear, -ry*sin(rotation), ry*cos(rotation));
+
+        // The parameter t0 at which the image is farthest from its center
+        var uu = u[0]*u[0] + u[1]*u[1], vv = v[0]*v[0] + v[1]*v[1];
+        var uv = u[0]*v[0] + u[1]*v[1];
+        var t0 = Math.atan2(2*uv, uu - vv)/2;
+
+        // The new semi-axes, as vectors
+        var ax = u[0]*cos(t0) + v[0]*sin(t0), ay = u[1]*cos(t0) + v[1]*sin(t0);
+        var bx = v[0]*cos(t0) - u[0]*sin(t0), by = v[1]*cos(t0) - u[1]*sin(t0);
+
+        var sa = segment[6] - t0, ea = segment[7] - t0;
+        var anticlockwise = segment[8];
+        if (ax*by - ay*bx < 0) {  // The transformation is a reflection
+            sa = -sa;
+            ea = -ea;
+            anticlockwise = !anticlockwise;
+        }
+        return ["ellipse", center[0], center[1],
+                sqrt(ax*ax + ay*ay), sqrt(bx*bx + by*by), Math.atan2(ay, ax),
+                sa, ea, anticlockwise];
+    }
+
+    // Split path segments into subpaths.  Each subpath is an object with
+    // a closed property and a curves property, an array of curves.  A
+    // curve is a segment whose coordinates begin with its start point:
+    // ["L",x0,y0,x,y], ["Q",x0,y0,cx,cy,x,y], ["C",x0,y0,cx1,cy1,cx2,cy2,x,y]
+    // or an ellipse segment.  The line drawn by closePath() is included
+    // as an "L" curve.  Subpaths that draw nothing are omitted.
+    function subpaths(segments) {
+        var result = [], subpath = null, x, y, sx, sy;
+        for(var i = 0; i < segments.length; i++) {
+            var s = segments[i], type = s[0];
+            if (type !== "M" && !subpath) continue;  // No current point
+            if (type === "M") {
+                sx = s[1];
+                sy = s[2];
+                subpath = { closed: false, curves: [] };
+                result.push(subpath);
+            }
+            else if (type === "Z") {
+                subpath.curves.push(["L", x, y, sx, sy]);
+                subpath.closed = true;
+                // Anything after this starts a new subpath at the same point
+                subpath = { closed: false, curves: [] };
+                result.push(subpath);
+            }
+            else if (type === "ellipse") {
+                subpath.curves.push(s);
+            }
+            else {
+                subpath.curves.push([type, x, y].concat(s.slice(1)));
+            }
+            var end = type === "Z" ? [sx, sy] : segmentEnd(s);
+            x = end[0];
+            y = end[1];
+        }
+        var nonempty = [];
+        for(i = 0; i < result.length; i++)
+            if (result[i].curves.length) nonempty.push(result[i]);
+        return nonempty;
+    }
+
+    // The end point of a path segment other than "Z"
+    function segmentEnd(s) {
+        if (s[0] === "ellipse") return curvePoint(s, 1);
+        return [s[s.length-2], s[s.length-1]];
+    }
+
+    // The point at parameter t (from 0 to 1) along a curve
+    function curvePoint(p, t) {
+        var u = 1 - t;
+        switch(p[0]) {
+        case "L":
+            return [u*p[1] + t*p[3], u*p[2] + t*p[4]];
+        case "Q":
+            return [u*u*p[1] + 2*u*t*p[3] + t*t*p[5],
+                    u*u*p[2] + 2*u*t*p[4] + t*t*p[6]];
+        case "C":
+            return [u*u*u*p[1] + 3*u*u*t*p[3] + 3*u*t*t*p[5] + t*t*t*p[7],
+                    u*u*u*p[2] + 3*u*u*t*p[4] + 3*u*t*t*p[6] + t*t*t*p[8]];
+        case "ellipse":
+            var theta = p[6] + t*(p[7] - p[6]);
+            var q = rotatePoint(p[3]*cos(theta), p[4]*sin(theta), p[5]);
+            return [p[1] + q[0], p[2] + q[1]];
+        }
+    }
+
+    // The derivative of a curve with respect to t
+    function curveDerivative(p, t) {
+        var u = 1 - t;
+        switch(p[0]) {
+        case "L":
+            return [p[3] - p[1], p[4] - p[2]];
+        case "Q":
+            return [2*(u*(p[3] - p[1]) + t*(p[5] - p[3])),
+                    2*(u*(p[4] - p[2]) + t*(p[6] - p[4]))];
+        case "C":
+            return [3*(u*u*(p[3] - p[1]) + 2*u*t*(p[5] - p[3]) +
+                       t*t*(p[7] - p[5])),
+                    3*(u*u*(p[4] - p[2]) + 2*u*t*(p[6] - p[4]) +
+                       t*t*(p[8] - p[6]))];
+        case "ellipse":
+            var sweep = p[7] - p[6], theta = p[6] + t*sweep;
+            var q = rotatePoint(-p[3]*sin(theta), p[4]*cos(theta), p[5]);
+            return [q[0]*sweep, q[1]*sweep];
+        }
+    }
+
+    // The unit tangent vector of a curve at t, or null if the curve
+    // is a single point.  Where the derivative vanishes, as it does at
+    // the ends of Bezier curves with coincident control points, we use
+    // the direction in which the curve is heading.
+    function curveTangent(p, t) {
+        var d = curveDerivative(p, t), len = sqrt(d[0]*d[0] + d[1]*d[1]);
+        if (len < 1e-9) {
+            var a = curvePoint(p, Math.max(t - 1e-3, 0));
+            var b = curvePoint(p, Math.min(t + 1e-3, 1));
+            d = [b[0] - a[0], b[1] - a[1]];
+            len = sqrt(d[0]*d[0] + d[1]*d[1]);
+            if (len < 1e-12) return null;
+        }
+        return [d[0]/len, d[1]/len];
+    }
+
+    // Call add(x,y) with the end points of a curve and with the points
+    // where it is farthest in each direction along the X and Y axes
+    function curveExtrema(p, add) {
+        var ts = [0, 1], i;
+        if (p[0] === "Q") {
+            for(i = 1; i <= 2; i++) {
+                var denominator = p[i] - 2*p[i+2] + p[i+4];
+                if (denominator) ts.push((p[i] - p[i+2])/denominator);
+            }
+        }
+        else if (p[0] === "C") {
+            for(i = 1; i <= 2; i++) {
+                // Solve a*t^2 + b*t + c = 0 for the derivative
+                var a = -p[i] + 3*p[i+2] - 3*p[i+4] + p[i+6];
+                var b = 2*(p[i] - 2*p[i+2] + p[i+4]);
+                var c = p[i+2] - p[i];
+                if (abs(a) < 1e-12) {
+                    if (b) ts.push(-c/b);
+                    continue;
+                }
+                var discriminant = b*b - 4*a*c;
+                if (discriminant < 0) continue;
+                discriminant = sqrt(discriminant);
+                ts.push((-b + discriminant)/(2*a), (-b - discriminant)/(2*a));
+            }
+        }
+        else if (p[0] === "ellipse") {
+            var rx = p[3], ry = p[4], rotation = p[5];
+            var sweep = p[7] - p[6];
+            var lo = Math.min(p[6], p[7]), hi = Math.max(p[6], p[7]);
+            var thetas = [
+                Math.atan2(-ry*sin(rotation), rx*cos(rotation)),  // X extrema
+                Math.atan2(ry*cos(rotation), rx*sin(rotation))    // Y extrema
+            ];
+            for(i = 0; sweep && i < thetas.length; i++) {
+                for(var k = Math.ceil((lo - thetas[i])/pi);
+                    thetas[i] + k*pi <= hi; k++)
+                    ts.push((thetas[i] + k*pi - p[6])/sweep);
+            }
+        }
+        for(i = 0; i < ts.length; i++) {
+            if (ts[i] >= 0 && ts[i] <= 1) {
+                var q = curvePoint(p, ts[i]);
+                add(q[0], q[1]);
+            }
+        }
+    }
+
+    // Return the exact bounds [minX, minY, maxX, maxY] of the path
+    // segments, or null if the path draws nothing.  If style is specified,
+    // it is an object with lineWidth, lineCap, lineJoin and miterLimit
+    // properties, and the bounds include the stroke of the path.
+    function pathBounds(segments, style) {
+        var box = [Infinity, Infinity, -Infinity, -Infinity];
+        function add(x,y) {
+            box[0] = Math.min(box[0], x);
+            box[1] = Math.min(box[1], y);
+            box[2] = Math.max(box[2], x);
+            box[3] = Math.max(box[3], y);
+        }
+        var paths = subpaths(segments), i, j;
+        for(i = 0; i < paths.length; i++)
+            for(j = 0; j < paths[i].curves.length; j++)
+                curveExtrema(paths[i].curves[j], add);
+        if (box[0] > box[2]) return null;
+        if (!style) return box;
+
+        // Every point of the stroke is within half the line width of the
+        // path, so that is all that round and butt caps and round and bevel
+        // joins add to the box.  Square caps and miter joins reach farther.
+        var hw = style.lineWidth/2;
+        box = [box[0] - hw, box[1] - hw, box[2] + hw, box[3] + hw];
+        for(i = 0; i < paths.length; i++) {
+            var curves = [];
+            for(j = 0; j < paths[i].curves.length; j++)
+                if (curveTangent(paths[i].curves[j], 0))
+                    curves.push(paths[i].curves[j]);
+            if (!curves.length) continue;
+            var first = curves[0], last = curves[curves.length-1];
+
+            if (!paths[i].closed && style.lineCap === "square") {
+                squareCap(curvePoint(first, 0), curveTangent(first, 0), -1);
+                squareCap(curvePoint(last, 1), curveTangent(last, 1), 1);
+            }
+            if (style.lineJoin === "miter") {
+                for(j = 1; j < curves.length; j++)
+                    miter(curves[j-1], curves[j]);
+                if (paths[i].closed) miter(last, first);
+            }
+        }
+        return box;
+
+        // Add the corners of a square cap at the point p with tangent u.
+        // The direction is -1 at the start of the subpath and 1 at the end.
+        function squareCap(p, u, direction) {
+            var x = p[0] + direction*hw*u[0], y = p[1] + direction*hw*u[1];
+            add(x - hw*u[1], y + hw*u[0]);
+            add(x + hw*u[1], y - hw*u[0]);
+        }
+
+        // Add the tip of the miter join between two curves, if the miter
+        // limit allows one
+        function miter(before, after) {
+            var p = curvePoint(after, 0);
+            var u = curveTangent(before, 1), v = curveTangent(after, 0);
+            var dot = u[0]*v[0] + u[1]*v[1];
+            if (dot > 1 - 1e-12) return;  // No corner
+            var cosHalf = sqrt((1 + dot)/2);  // sin of half the inner angle
+            if (cosHalf*style.miterLimit < 1) return;  // Bevel
+            var dx = u[0] - v[0], dy = u[1] - v[1];
+            var len = sqrt(dx*dx + dy*dy);
+            add(p[0] + dx/len*hw/cosHalf, p[1] + dy/len*hw/cosHalf);
+        }
+    }
+
+    // Measure the curves of path segments.  Returns an array of objects,
+    // one for each curve that the path draws, with these properties:
+    // curve, the curve; subpath, the subpath object that holds it;
+    // start, the length of the path before it; length, its length; and
+    // samples, an array of [t, length] pairs along it, from [0, 0] to
+    // [1, length], for finding the parameter at a given length.
+    function measurePath(segments) {
+        var result = [], total = 0, paths = subpaths(segments);
+        for(var i = 0; i < paths.length; i++) {
+            for(var j = 0; j < paths[i].curves.length; j++) {
+                var samples = curveSamples(paths[i].curves[j]);
+                var length = samples[samples.length-1][1];
+                result.push({ curve: paths[i].curves[j], subpath: paths[i],
+                              start: total, length: length,
+                              samples: samples });
+                total += length;
+            }
+        }
+        return result;
+    }
+
+    // Return [t, length] pairs along a curve.  Lines and circular arcs
+    // are measured exactly. Other curves are subdivided until the length
+    // of each piece is close to the length of its chord.
+    function curveSamples(p) {
+        if (p[0] === "L")
+            return [[0, 0], [1, distance(p[1], p[2], p[3], p[4])]];
+        if (p[0] === "ellipse" && p[3] === p[4])
+            return [[0, 0], [1, abs(p[3]*(p[7] - p[6]))]];
+
+        var samples = [[0, 0]], length = 0;
+        subdivide(0, curvePoint(p, 0), 1, curvePoint(p, 1), 0);
+        return samples;
+
+        function subdivide(t0, p0, t1, p1, depth) {
+            var t = (t0 + t1)/2, q = curvePoint(p, t);
+            var chord = distance(p0[0], p0[1], p1[0], p1[1]);
+            var d0 = distance(p0[0], p0[1], q[0], q[1]);
+            var d1 = distance(q[0], q[1], p1[0], p1[1]);
+            var error = d0 + d1 - chord;
+            if (depth >= 16 || (depth >= 3 && error <= 1e-6*chord)) {
+                // The arc is longer than the polyline by about a third of
+                // the difference between the polyline and the chord.
+                var k = d0 + d1 ? 1 + error/(3*(d0 + d1)) : 1;
+                samples.push([t, length += k*d0], [t1, length += k*d1]);
+                return;
+            }
+            subdivide(t0, p0, t, q, depth+1);
+            subdivide(t, q, t1, p1, depth+1);
+        }
+    }
+
+    function distance(x0,y0,x1,y1) {
+        var dx = x1 - x0, dy = y1 - y0;
+        return sqrt(dx*dx + dy*dy);
+    }
+
+    // Find the curve at distance d along a measured path and return
+    // an object with its measurement and the parameter t of the point at
+    // that distance, or null if the path draws nothing.  Curves of zero
+    // length are passed over.
+    function locate(measures, d) {
+        if (!measures.length) return null;
+        var m = measures[measures.length-1];
+        for(var i = 0; i < measures.length; i++) {
+            if (measures[i].length > 0 &&
+                measures[i].start + measures[i].length >= d) {
+                m = measures[i];
+                break;
+            }
+        }
+        d = Math.min(Math.max(d - m.start, 0), m.length);
+        for(i = 1; i < m.samples.length - 1; i++)
+            if (m.samples[i][1] >= d) break;
+        var a = m.samples[i-1], b = m.samples[i];
+        var t = b[1] > a[1] ? a[0] + (b[0]-a[0])*(d-a[1])/(b[1]-a[1]) : b[0];
+        return { measure: m, t: t };
+    }
+
+    // Return the control points of the part of a Bezier curve p between
+    // the parameters ta and tb, as a flat array.  The control points
+    // of the part are the "blossoms" of the curve at ta and tb.
+    function splitBezier(p, ta, tb) {
+        var degree = p[0] === "Q" ? 2 : 3, result = [];
+        for(var i = 0; i <= degree; i++) {
+            var points = slice(p, 1);
+            for(var level = 0; level < degree; level++) {
+                var t = level < degree - i ? ta : tb;
+                for(var j = 0; j < points.length - 2*(level+1); j++)
+                    points[j] += t*(points[j+2] - points[j]);
+            }
+            result.push(points[0], points[1]);
+        }
+        return result;
+    }
+
+    // Add points along a curve to the array points, after its start point,
+    // so that the polyline through them deviates from the curve by no
+    // more than tolerance.  A Bezier curve lies within its control polygon,
+    // so we split it until the control points are close to the chord.  For
+    // an arc, we use the sagitta of the circle of the larger radius.
+    function flattenCurve(p, tolerance, points) {
+        if (p[0] === "L") {
+            points.push([p[3], p[4]]);
+        }
+        else if (p[0] === "ellipse") {
+            var r = Math.max(p[3], p[4]), sweep = abs(p[7] - p[6]);
+            var step = r > tolerance ? 2*acos(1 - tolerance/r) : pi;
+            var n = Math.max(Math.ceil(sweep/step), 1);
+            for(var i = 1; i <= n; i++) points.push(curvePoint(p, i/n));
+        }
+        else {
+            split(0, 1, 0);
+        }
+
+        function split(t0, t1, depth) {
+            var q = splitBezier(p, t0, t1), n = q.length;
+            var flat = true;
+            for(var i = 2; i < n-2 && flat; i += 2) {
+                if (segmentDistance(q[i], q[i+1], q[0], q[1],
+                                    q[n-2], q[n-1]) > tolerance)
+                    flat = false;
+            }
+            if (flat || depth >= 16) {
+                points.push([q[n-2], q[n-1]]);
+                return;
+            }
+            split(t0, (t0 + t1)/2, depth+1);
+            split((t0 + t1)/2, t1, depth+1);
+        }
+    }
+
+    // The distance from the point (x,y) to the line segment from
+    // (x0,y0) to (x1,y1)
+    function segmentDistance(x, y, x0, y0, x1, y1) {
+        var dx = x1 - x0, dy = y1 - y0, lengthSquared = dx*dx + dy*dy;
+        var t = lengthSquared ? ((x - x0)*dx + (y - y0)*dy)/lengthSquared : 0;
+        t = Math.min(Math.max(t, 0), 1);
+        return distance(x, y, x0 + t*dx, y0 + t*dy);
+    }
+
+    // Add the part of a measured path between the distances from and to
+    // along it to the path object result.  A closed subpath that is
+    // included entirely is closed with closePath().
+    function addPathPart(result, measures, from, to) {
+        var subpath = null, whole = false;
+        for(var i = 0; i < measures.length; i++) {
+            var m = measures[i], p = m.curve;
+            var start = m.start, end = m.start + m.length;
+            if (end < from || start > to || (m.length === 0 && start === to))
+                continue;
+            var ta = start >= from ? 0 : locate([m], from).t;
+            var tb = end <= to ? 1 : locate([m], to).t;
+            if (m.subpath !== subpath) {  // Start a new subpath
+                subpath = m.subpath;
+                whole = ta === 0 && p === subpath.curves[0];
+                var q = curvePoint(p, ta);
+                result.moveTo(q[0], q[1]);
+            }
+            if (tb < 1) whole = false;
+
+            if (p[0] === "L") {
+                if (whole && subpath.closed &&
+                    p === subpath.curves[subpath.curves.length-1]) {
+                    result.closePath();
+                }
+                else {
+                    q = curvePoint(p, tb);
+                    result.lineTo(q[0], q[1]);
+                }
+            }
+            else if (p[0] === "Q") {
+                result.quadraticCurveTo.apply(result,
+                                              splitBezier(p, ta, tb).slice(2));
+            }
+            else if (p[0] === "C") {
+                result.bezierCurveTo.apply(result,
+                                           splitBezier(p, ta, tb).slice(2));
+            }
+            else {
+                var sweep = p[7] - p[6];
+                result.ellipse(p[1], p[2], p[3], p[4], p[5],
+                               p[6] + ta*sweep, p[6] + tb*sweep, p[8]);
+            }
+        }
+    }
+
+    // Return a path object with the dashes of path segments stroked with
+    // a dash pattern and offset, for contexts without setLineDash().
+    // As on a canvas, the pattern starts over with each subpath.
+    function dashedPath(segments, pattern, offset) {
+        var measures = measurePath(segments), result = new CantoPath();
+        var period = 0, i, j;
+        for(i = 0; i < pattern.length; i++) period += pattern[i];
+        for(i = 0; i < measures.length; i = j) {
+            // Find the extent of the subpath
+            for(j = i; j < measures.length; j++)
+                if (measures[j].subpath !== measures[i].subpath) break;
+            var start = measures[i].start;
+            var end = measures[j-1].start + measures[j-1].length;
+            var phase = offset % period;
+            if (phase < 0) phase += period;
+            var d = start - phase, k = 0;
+            while(d < end) {
+                var dashEnd = d + pattern[k];
+                if (k % 2 === 0 && dashEnd >= start) {
+                    addPathPart(result, measures.slice(i, j),
+                                Math.max(d, start), Math.min(dashEnd, end));
+                }
+                d = dashEnd;
+                k = (k + 1) % pattern.length;
+            }
+        }
+        return result;
+    }
+
+    // Named dash patterns for the lineDash attribute, in units of the
+    // line width
+    var dashPresets = {
+        solid: [],
+        dashed: [4, 2],
+        dotted: [1, 2],
+        "dash-dot": [4, 2, 1, 2]
+    };
+
+    // Check a value of the lineDash attribute.  Returns a preset name or
+    // an array of dash and gap lengths with an even number of elements.
+    function parseLineDash(value) {
+        if (value === null || value === undefined || value === "none")
+            return [];
+        if (dashPresets.hasOwnProperty(value)) return value;
+        var pattern = typeof value === "string"
+            ? value.replace(/^\s+|\s+$/g, "").split(/[\s,]+/)
+            : slice(value, 0);
+        for(var i = 0; i < pattern.length; i++) {
+            pattern[i] = Number(pattern[i]);
+            if (!(pattern[i] >= 0) || pattern[i] === Infinity)
+                throw new Error("invalid lineDash: " + value);
+        }
+        if (pattern.length % 2) pattern = pattern.concat(pattern);
+        return pattern;
+    }
+
+    // The current dash pattern of a canto, in user units
+    function lineDashPattern(c) {
+        var dash = c._lineDash;
+        if (typeof dash !== "string") return dash;
+        var pattern = [];
+        for(var i = 0; i < dashPresets[dash].length; i++)
+            pattern.push(dashPresets[dash][i]*c._.lineWidth);
+        return pattern;
+    }
+
+    // Pass the dash pattern of a canto to its context, if the context
+    // supports dashes
+    function applyLineDash(c) {
+        if (c._.setLineDash) c._.setLineDash(lineDashPattern(c));
+    }
+
+    // Stroke with the dash pattern of the canto.  If the context supports
+    // dashes, or the line is solid, we just call strokeAll().  Otherwise
+    // we stroke the dashes of the path segments as a path.  Text has no
+    // segments and is not dashed without support from the context.
+    function strokeDashed(c, segments, strokeAll) {
+        var pattern = lineDashPattern(c), total = 0;
+        for(var i = 0; i < pattern.length; i++) total += pattern[i];
+        if (c._.setLineDash || total === 0 || !segments) strokeAll();
+        else drawPath(c, dashedPath(segments, pattern, c._lineDashOffset),
+                      "stroke");
+    }
+
+    // Return the vertices of path segments at which markers are drawn, as
+    // [x, y, angle] arrays.  The angle is the direction of the path at the
+    // vertex, in radians.  At a vertex between two curves it is halfway
+    // between the directions of the two curves.
+    function markerVertices(segments) {
+        var paths = subpaths(segments), vertices = [];
+        for(var i = 0; i < paths.length; i++) {
+            var closed = paths[i].closed, curves = [];
+            for(var j = 0; j < paths[i].curves.length; j++)
+                if (curveTangent(paths[i].curves[j], 0))
+                    curves.push(paths[i].curves[j]);
+            var n = curves.length;
+            if (!n) continue;
+            for(j = 0; j <= n; j++) {
+                var before = j > 0 ? curves[j-1] : closed ? curves[n-1] : null;
+                var after = j < n ? curves[j] : closed ? curves[0] : null;
+                var p = j < n ? curvePoint(after, 0) : curvePoint(before, 1);
+                var u = before ? curveTangent(before, 1) : [0, 0];
+                var v = after ? curveTangent(after, 0) : [0, 0];
+                var dx = u[0] + v[0], dy = u[1] + v[1];
+                if (abs(dx) < 1e-12 && abs(dy) < 1e-12) {  // Turns back
+                    dx = v[0];
+                    dy = v[1];
+                }
+                vertices.push([p[0], p[1], Math.atan2(dy, dx)]);
+            }
+        }
+        return vertices;
+    }
+
+    // The built-in markers.  They are drawn in units of the line width
+    // with the X axis pointing along the path, away from it at its ends.
+    var markerShapes = {
+        arrow: function(c) { c.M(2,0).L(-4,-3).L(-4,3).z().fill(); },
+        circle: function(c) { c.arc(0,0,2).fill(); },
+        square: function(c) { c.rect(-2,-2,4,4).fill(); },
+        bar: function(c) { c.rect(-0.5,-3,1,6).fill(); }
+    };
+
+    // Check a value of the markerStart, markerMid or markerEnd attribute
+    function checkMarker(value) {
+        if (value === null || value === undefined) return "none";
+        if (typeof value === "function" || value === "none" ||
+            markerShapes.hasOwnProperty(value))
+            return value;
+        throw new Error("unknown marker: " + value);
+    }
+
+    // Draw the markers of a canto on the vertices of path segments.  The
+    // current path is set aside while the markers are drawn, and restored.
+    function drawMarkers(c, segments) {
+        var markers = [c._markerStart, c._markerMid, c._markerEnd];
+        if (markers.join() === "none,none,none") return;
+        var vertices = markerVertices(segments);
+        if (!vertices.length) return;
+
+        var path = [c._path, c._pathIsEmpty, c.currentX, c.currentY,
+                    c.startSubpathX, c.startSubpathY, c._lastCCP, c._lastQCP];
+        var lineWidth = c._.lineWidth;
+        c._path = [];
+        c._measures = null;
+        c.save();
+        try {
+            c.set({lineDash: "none", fillStyle: c.strokeStyle,
+                   markerStart: "none", markerMid: "none", markerEnd: "none"});
+            for(var i = 0; i < vertices.length; i++) {
+                var position = i === 0 ? "start"
+                    : i === vertices.length-1 ? "end" : "mid";
+                var marker = markers[i === 0 ? 0 : position === "end" ? 2 : 1];
+                if (marker === "none") continue;
+                if (typeof marker === "string") marker = markerShapes[marker];
+                // Start markers point away from the path, like end markers
+                var angle = vertices[i][2] + (i === 0 ? pi : 0);
+                var cosine = cos(angle)*lineWidth, sine = sin(angle)*lineWidth;
+                c.save();
+                c.transform(cosine, sine, -sine, cosine,
+                            vertices[i][0], vertices[i][1]);
+                c.lineWidth = 1;
+                c.beginPath();
+                marker(c, position);
+                c.restore();
+            }
+        }
+        finally {
+            c.restore();
+            c._path = path[0];
+            c._measures = null;
+            c._pathIsEmpty = path[1];
+            c.currentX = path[2];
+            c.currentY = path[3];
+            c.startSubpathX = path[4];
+            c.startSubpathY = path[5];
+            c._lastCCP = path[6];
+            c._lastQCP = path[7];
+            rebuildPath(c);
+        }
+    }
+
     // Use by the Canto() constructor and the reset() method
     function resetCantoState(c) {
         // Properties to hold the current point
@@ -242,11 +1177,41 @@ var canto = (function() {  // This function returns the canto() function
 
         // Whether angles are measured in degrees (true) or radians (false)
         c._useDegrees = false;
-        c._angleUnitStack = [];
+
+        // The current transformation matrix
+        c._matrix = identity;
+
+        // The canto state saved by save(). See savedProperties
+        c._stateStack = [];
+
+        // Whether a debug check of save() and restore() is pending.
+        // See checkBalance()
+        c._balanceCheck = false;
+
+        // The record of the current path. See getPath()
+        c._path = [];
+
+        // The measurements of the current path, or null.  See measures()
+        c._measures = null;
+
+        // The lineDash and lineDashOffset attributes.  See strokeDashed()
+        c._lineDash = [];
+        c._lineDashOffset = 0;
+
+        // The markerStart, markerMid and markerEnd attributes
+        c._markerStart = c._markerMid = c._markerEnd = "none";
+
+        // The theme for symbolic attribute values.  See attributeValue()
+        c._theme = null;
+
+        // Retained shapes, in drawing order, and the tag for the next one
+        c._shapes = [];
+        c._tag = null;
         
         // Properties for turtle graphics commands only
         c._penup = true;
         c._orientation = -pi/2;  // Straight up
+        c._turtleStack = [];     // For pushTurtle() and popTurtle()
 
         // These properties are needed by the SVG S, s, T, and t commands
         c._lastCCP = undefined; // last cubic control point
@@ -260,18 +1225,18 @@ var canto = (function() {  // This function returns the canto() function
      * object and become Canto methods.
      */
 
-    // These two regular expressions are used in the svgpath() function
+    // These two regular expressions are used by parseSVGPath()
     var svgnumber = /[+\-]?(\.\d+|\d+\.\d*|\d+)([Ee][+\-]?\d+)?/g;
     var svgpathelt = /[MmLlZzHhVvCcQqSsTtAa]\s*(([+\-]?(\d+|\d+\.\d*|\.\d+)([Ee][+\-]?\d+)?)(,\s*|\s+,?\s*)?)*/g;
 
-    // Parse an SVG path string and invoke the various SVG commands
-    // Note that this does not call beginPath()
-    function svgpath(text) {
+    // Parse an SVG path string into an array of [letter, numbers] pairs
+    function parseSVGPath(text) {
         var elements = text.match(svgpathelt);
         if (!elements) throw new Error("Bad path: " + text);
 
         // Each element should begin with a SVG path letter and be followed
         // by a string of numbers separated by spaces and/or commas
+        var commands = [];
         for(var i = 0; i < elements.length; i++) {
             var element = elements[i];           // Single path element
             var cmd = element.charAt(0);         // The command letter
@@ -281,12 +1246,44 @@ var canto = (function() {  // This function returns the canto() function
                 for(var j = 0; j < args.length; j++)
                     numbers[j] = Number(args[j]);    // Convert args to numbers
             }
-            // Command letters are all method names
-            this[cmd].apply(this, numbers);
+            commands.push([cmd, numbers]);
         }
+        return commands;
+    }
+
+    // Invoke the canto methods named by the letters of parsed path commands
+    function replaySVGPath(c, commands) {
+        for(var i = 0; i < commands.length; i++)
+            c[commands[i][0]].apply(c, commands[i][1]);
+    }
+
+    // Parse an SVG path string and invoke the various SVG commands
+    // Note that this does not call beginPath()
+    function svgpath(text) {
+        replaySVGPath(this, parseSVGPath(text));
         return this;
     }
 
+    // Parse an SVG path string once and return a function that draws it.
+    // This is a static function: canto.compileSVGPath()
+    function compileSVGPath(text) {
+        var commands = parseSVGPath(text);
+        return function(c, x, y, scale) {
+            // Accept a raw 2D context as well as a canto
+            if (!(c instanceof Canto)) c = canto(c.canvas);
+            c.save();
+            if (x || y) c.translate(x || 0, y || 0);
+            if (scale !== undefined) c.scale(scale, scale);
+            try {
+                replaySVGPath(c, commands);
+            }
+            finally {
+                c.restore();
+            }
+            return c;
+        };
+    }
+
     /*
      * SVG path commands
      * Many of these functions also work as extended canvas methods.
@@ -295,11 +1292,16 @@ var canto = (function() {  // This function returns the canto() function
 
     // Absolute lineto
     function L(x,y) {
+        if (arguments.length > 0 && typeof x !== "number") {
+            var points = pointList(arguments);
+            check(points, 0, 2, 2);
+            return L.apply(this, points);
+        }
         check(arguments, 0, 2, 2);
         ensure(this,x,y); // not SVG: for compatiblity with canvas API
-        this._.lineTo(x,y);
+        lineto(this, x, y);
         for(var i = 2; i < arguments.length; i += 2)
-            this._.lineTo(x = arguments[i], y = arguments[i+1]);
+            lineto(this, x = arguments[i], y = arguments[i+1]);
         setcurrent(this, x, y);
         return this;
     }
@@ -309,14 +1311,20 @@ var canto = (function() {  // This function returns the canto() function
         checkcurrent(this);
         var cx = this.currentX, cy = this.currentY;
         for(var i = 0; i < arguments.length; i += 2)
-            this._.lineTo(cx += arguments[i], cy += arguments[i+1]);
+            lineto(this, cx += arguments[i], cy += arguments[i+1]);
         setcurrent(this,cx,cy);
         return this;
     }
 
     // Absolute moveto
     function M(x,y) {
-        this._.moveTo(x,y);
+        if (arguments.length > 0 && typeof x !== "number") {
+            var points = pointList(arguments);
+            check(points, 0, 2, 2);
+            return M.apply(this, points);
+        }
+        check(arguments, 0, 2, 2);
+        moveto(this, x, y);
         setcurrent(this, x, y);
         this.startSubpathX = x;
         this.startSubpathY = y;
@@ -336,7 +1344,7 @@ var canto = (function() {  // This function returns the canto() function
         x += this.currentX;
         y += this.currentY;
 
-        this._.moveTo(x,y);
+        moveto(this, x, y);
         setcurrent(this, x, y);
         this.startSubpathX = x;
         this.startSubpathY = y;
@@ -346,7 +1354,7 @@ var canto = (function() {  // This function returns the canto() function
 
     // Closepath
     function z() {
-        this._.closePath();
+        closepath(this);
         setcurrent(this, this.startSubpathX, this.startSubpathY);
         return this;
     }
@@ -375,12 +1383,12 @@ var canto = (function() {  // This function returns the canto() function
     }
     function C(cx1,cy1,cx2,cy2,x,y) {
         check(arguments, 0, 6, 6);
-        ensure(this,cx1,cx2); // not SVG: for compatiblity with canvas API
-        this._.bezierCurveTo(cx1,cy1,cx2,cy2,x,y);
+        ensure(this,cx1,cy1); // not SVG: for compatiblity with canvas API
+        curveto(this,cx1,cy1,cx2,cy2,x,y);
         for(var i = 6; i < arguments.length; i+=6)  // polycurves
-            this._.bezierCurveTo(arguments[i], arguments[i+1],
-                                 cx2 = arguments[i+2], cy2 = arguments[i+3],
-                                 x = arguments[i+4], y = arguments[i+5]);
+            curveto(this, arguments[i], arguments[i+1],
+                          cx2 = arguments[i+2], cy2 = arguments[i+3],
+                          x = arguments[i+4], y = arguments[i+5]);
         setcurrent(this, x, y);
         this._lastCCP = [cx2, cy2];
         return this;
@@ -390,12 +1398,12 @@ var canto = (function() {  // This function returns the canto() function
         checkcurrent(this);
         var x0 = this.currentX, y0 = this.currentY;
         for(var i = 0; i < arguments.length; i+=6)   // polycurves
-            this._.bezierCurveTo(x0 + arguments[i],
-                                 y0 + arguments[i+1],
-                                 cx2 = x0 + arguments[i+2],
-                                 cy2 = y0 + arguments[i+3],
-                                 x0 += arguments[i+4],
-                                 y0 += arguments[i+5]);
+            curveto(this, x0 + arguments[i],
+                          y0 + arguments[i+1],
+                          cx2 = x0 + arguments[i+2],
+                          cy2 = y0 + arguments[i+3],
+                          x0 += arguments[i+4],
+                          y0 += arguments[i+5]);
         setcurrent(this,x0,y0);
         this._lastCCP = [cx2,cy2];
         return this;
@@ -403,10 +1411,10 @@ var canto = (function() {  // This function returns the canto() function
     function Q(cx,cy,x,y) {
         check(arguments, 0, 4, 4);
         ensure(this,cx,cy); // not SVG: canvas API compatibility
-        this._.quadraticCurveTo(cx,cy,x,y);
+        quadto(this,cx,cy,x,y);
         for(var i = 4; i < arguments.length; i+=4) 
-            this._.quadraticCurveTo(cx=arguments[i], cy=arguments[i+1],
-                                    x=arguments[i+2], y=arguments[i+3]);
+            quadto(this, cx=arguments[i], cy=arguments[i+1],
+                         x=arguments[i+2], y=arguments[i+3]);
         setcurrent(this,x,y);
         this._lastQCP = [cx, cy];
         return this;
@@ -416,10 +1424,10 @@ var canto = (function() {  // This function returns the canto() function
         checkcurrent(this);
         var x0 = this.currentX, y0 = this.currentY;
         for(var i = 0; i < arguments.length; i+=4) 
-            this._.quadraticCurveTo(cx = x0 + arguments[i],
-                                    cy = y0 + arguments[i+1],
-                                    x0 += arguments[i+2],
-                                    y0 += arguments[i+3]);
+            quadto(this, cx = x0 + arguments[i],
+                         cy = y0 + arguments[i+1],
+                         x0 += arguments[i+2],
+                         y0 += arguments[i+3]);
         setcurrent(this,x0,y0);
         this._lastQCP = [cx,cy];
         return this;
@@ -435,7 +1443,7 @@ var canto = (function() {  // This function returns the canto() function
             var cx1 = x0 + (x0-cx0), cy1 = y0 + (y0-cy0);
             var cx2 = arguments[i], cy2 = arguments[i+1];
             var x = arguments[i+2], y = arguments[i+3];
-            this._.bezierCurveTo(cx1,cy1,cx2,cy2,x,y);
+            curveto(this,cx1,cy1,cx2,cy2,x,y);
             x0 = x; y0 = y; cx0 = cx2; cy0 = cy2;
         }
         setcurrent(this,x0,y0);
@@ -453,7 +1461,7 @@ var canto = (function() {  // This function returns the canto() function
             var cx1 = x0 + (x0-cx0), cy1 = y0 + (y0-cy0);
             var cx2 = x0+arguments[i], cy2 = y0+arguments[i+1];
             var x = x0+arguments[i+2], y = y0+arguments[i+3];
-            this._.bezierCurveTo(cx1,cy1,cx2,cy2,x,y);
+            curveto(this,cx1,cy1,cx2,cy2,x,y);
             x0 = x; y0 = y; cx0 = cx2; cy0 = cy2;
         }
         setcurrent(this,x0,y0);
@@ -470,7 +1478,7 @@ var canto = (function() {  // This function returns the canto() function
         for(var i = 0; i < arguments.length; i+=2) {
             var cx = x0 + (x0-cx0), cy = y0 + (y0-cy0);
             var x = arguments[i], y = arguments[i+1];
-            this._.quadraticCurveTo(cx,cy,x,y);
+            quadto(this,cx,cy,x,y);
             x0 = x; y0 = y; cx0 = cx; cy0 = cy;
         }
         setcurrent(this,x0,y0);
@@ -487,7 +1495,7 @@ var canto = (function() {  // This function returns the canto() function
         for(var i = 0; i < arguments.length; i+=2) {
             var cx = x0 + (x0-cx0), cy = y0 + (y0-cy0);
             var x = x0 + arguments[i], y = y0 + arguments[i+1];
-            this._.quadraticCurveTo(cx,cy,x,y);
+            quadto(this,cx,cy,x,y);
             x0 = x; y0 = y; cx0 = cx; cy0 = cy;
         }
         setcurrent(this,x0,y0);
@@ -595,46 +1603,129 @@ var canto = (function() {  // This function returns the canto() function
      */
     function beginPath() {
         this._.beginPath();
+        this._path = [];
+        this._measures = null;
         setcurrent(this, undefined, undefined);
         this.startSubpathX = this.startSubpathY = undefined;
         this._pathIsEmpty = true;
         return this;
     }
 
+    // Return a copy of the record of the current path
+    function getPath() {
+        var path = [];
+        for(var i = 0; i < this._path.length; i++)
+            path.push(this._path[i].slice(0));
+        return path;
+    }
+
+    // Serialize the record of the current path using SVG path syntax
+    function toSVGPath(precision) { return pathToSVG(this._path, precision); }
+
+    // Return the bounding box of the current path as an object
+    function getPathBounds(options) {
+        var style = null, c = this;
+        options = options || {};
+        function attribute(name, defaultValue) {
+            if (options[name] !== undefined) return options[name];
+            if (c._[name] !== undefined) return c._[name];
+            return defaultValue;
+        }
+        if (options.stroke) {
+            style = {
+                lineWidth: attribute("lineWidth", 1),
+                lineCap: attribute("lineCap", "butt"),
+                lineJoin: attribute("lineJoin", "miter"),
+                miterLimit: attribute("miterLimit", 10)
+            };
+        }
+        var box = pathBounds(this._path, style);
+        if (!box) return null;
+        return { x: box[0], y: box[1],
+                 width: box[2] - box[0], height: box[3] - box[1] };
+    }
+
+    // Approximate the current path with polylines
+    function flattenPath(tolerance) {
+        if (tolerance === undefined) tolerance = 0.25;
+        if (!(tolerance > 0)) throw new Error("tolerance must be positive");
+        var paths = subpaths(this._path), result = [];
+        for(var i = 0; i < paths.length; i++) {
+            var curves = paths[i].curves;
+            var points = [curvePoint(curves[0], 0)];
+            for(var j = 0; j < curves.length; j++)
+                flattenCurve(curves[j], tolerance, points);
+            if (paths[i].closed) {
+                // Don't repeat the first point at the end
+                var first = points[0], last = points[points.length-1];
+                if (points.length > 1 &&
+                    first[0] === last[0] && first[1] === last[1])
+                    points.pop();
+            }
+            result.push({ points: points, closed: paths[i].closed });
+        }
+        return result;
+    }
+
+    // The measurements of the current path of a canto or path object.
+    // They are kept until record(), beginPath() or a change of the
+    // transformation changes the path, so that sampling many points along
+    // a path measures it only once.
+    function measures(c) {
+        if (!c._measures) c._measures = measurePath(c._path);
+        return c._measures;
+    }
+
+    // The length of the current path, as SVG measures it: moves between
+    // subpaths are not included, and the lines of closePath() are
+    function getTotalLength() {
+        var m = measures(this);
+        if (!m.length) return 0;
+        var last = m[m.length-1];
+        return last.start + last.length;
+    }
+
+    function getPointAtLength(d) {
+        var location = locate(measures(this), d);
+        if (!location) return null;
+        return curvePoint(location.measure.curve, location.t);
+    }
+
+    function getTangentAtLength(d) {
+        var location = locate(measures(this), d);
+        if (!location) return null;
+        return curveTangent(location.measure.curve, location.t);
+    }
+
+    // Return a new path object holding the part of the current path
+    // between the distances from and to along it
+    function getPathSegment(from, to) {
+        var result = new CantoPath();
+        if (to === undefined) to = Infinity;
+        addPathPart(result, measures(this), from, to);
+        return result;
+    }
+
     // Canvas arcTo command, with extra math to track the current point
     function arcTo(x1,y1,x2,y2,r) {
         ensure(this,x1,y1);
         checkcurrent(this);
         this._.arcTo(x1,y1,x2,y2,r);
 
-        // XXX
-        // Add code to handle the degenerate case: if P0==P1 or 
-        // P1==P2 or r==0, then this is just a straight line
-        // and the current point is just (x1,y1)
-
-        // Do some math to compute the current point here
-        // Definitions: 
-        //   P0 is the current point (x0,y0)
-        //   P1 is (x1,y1)
-        //   P2 is (x2,y2)
-        var x0 = this.currentX, y0 = this.currentY;
-
-        // Compute the angle between the two lines
-        // Take the absolute value to ignore the sign.  
-        // The result will be between 0 and pi
-        var dx1 = x0-x1, dy1 = y0-y1;  // Vector from P1 to P0
-        var dx2 = x2-x1, dy2 = y2-y1;  // Vector from P1 to P2
-        var theta = abs(angleBetweenVectors(dx1, dy1, dx2, dy2));
-
-        // Now compute distance d of the current point along the line P1-P2 
-        var d = r*tan((pi-theta)/2);
+        var arc = arcToGeometry(this.currentX, this.currentY,
+                                x1, y1, x2, y2, r);
+        if (!arc) {
+            // Degenerate case: if P0==P1 or P1==P2 or r==0, or the points
+            // are collinear, then this is just a straight line to (x1,y1)
+            recordLine(this, x1, y1);
+            setcurrent(this, x1, y1);
+            return this;
+        }
 
-        // What porportion of the entire line length is that?
-        var ratio = d/sqrt(dx2*dx2 + dy2*dy2);
-        
-        // The current point lies that far along the line P1-P2
-        setcurrent(this, x1 + ratio*dx2, y1 + ratio*dy2);
+        recordArc(this, arc[0], arc[1], r, r, 0, arc[2], arc[3], arc[4]);
 
+        // The current point is the point where the arc touches P1-P2
+        setcurrent(this, arc[5], arc[6]);
         return this;
     }
 
@@ -650,6 +1741,7 @@ var canto = (function() {  // This function returns the canto() function
         var ex = x + r*cos(ea), ey = y + r*sin(ea);   // end point
         ensure(this,sx,sy);
         this._.arc(x,y,r,sa,ea,anticlockwise);
+        recordArc(this, x, y, r, r, 0, sa, ea, anticlockwise);
         setcurrent(this, ex, ey);
         return this;
     }
@@ -672,55 +1764,185 @@ var canto = (function() {  // This function returns the canto() function
         var ex = cx + ep[0], ey = cy + ep[1];
         ensure(this,sx,sy);
 
-        this._.translate(cx,cy);
-        this._.rotate(rotation);
-        this._.scale(rx/ry,1);
-        this._.arc(0,0,ry,sa,ea,anticlockwise);
-        this._.scale(ry/rx,1);
-        this._.rotate(-rotation);
-        this._.translate(-cx,-cy);
-
+        addEllipse(this._, cx, cy, rx, ry, rotation, sa, ea, anticlockwise);
+        recordArc(this, cx, cy, rx, ry, rotation, sa, ea, anticlockwise);
         setcurrent(this,ex,ey);
         return this;
     }
 
-    function polygon() {
-        // Need at least 3 points for a polygon
-        if (arguments.length < 6) throw new Error("not enough arguments");
+    // Convert point-list arguments to a flat array of coordinates.
+    // Points may be numbers, [x,y] arrays or {x,y} objects, and
+    // arrays of any of these are flattened.
+    function pointList(args) {
+        var coords = [];
+        function add(p) {
+            if (typeof p === "number") coords.push(p);
+            else if (isArray(p)) {
+                for(var i = 0; i < p.length; i++) add(p[i]);
+            }
+            else if (p && typeof p.x === "number") coords.push(p.x, p.y);
+            else throw new Error("bad point: " + p);
+        }
+        add(slice(args, 0));
+        return coords;
+    }
 
-        if (arguments.length %2 === 0) {
-            this.moveTo(arguments[0], arguments[1]);
-            for(var i = 2; i < arguments.length; i+=2)
-                this.lineTo(arguments[i], arguments[i+1]);
+    // Parse the arguments of polygon() and polyline(): a list of points,
+    // an optional corner radius and an optional options object.  If the
+    // points are all passed as separate numbers, then an odd number of
+    // arguments means that the last one is the radius.
+    function polyArgs(args) {
+        args = slice(args, 0);
+        var options = {}, radius, last = args[args.length-1];
+        if (last && typeof last === "object" && !isArray(last) &&
+            last.x === undefined) options = args.pop();
+
+        var allNumbers = true;
+        for(var i = 0; i < args.length; i++)
+            if (typeof args[i] !== "number") allNumbers = false;
+        if (allNumbers ? args.length % 2 === 1
+                       : typeof args[args.length-1] === "number")
+            radius = args.pop();
+
+        var points = pointList(args);
+        if (options.reverse) {
+            var reversed = [];
+            for(var i = points.length-2; i >= 0; i -= 2)
+                reversed.push(points[i], points[i+1]);
+            points = reversed;
+        }
+        return {points: points, radius: radius, options: options};
+    }
+
+    function polygon() {
+        var a = polyArgs(arguments), p = a.points, radius = a.radius;
+        // Need at least 3 points for a polygon
+        if (p.length < 6) throw new Error("not enough arguments");
+
+        if (!radius) {
+            this.moveTo(p[0], p[1]);
+            for(var i = 2; i < p.length; i+=2)
+                this.lineTo(p[i], p[i+1]);
         }
         else {
-            // If the number of args is odd, then the last is corner radius
-            var radius = arguments[arguments.length-1];
-            var n = (arguments.length-1)/2;
+            var n = p.length/2;
 
             // Begin at the midpoint of the first and last points
-            var x0 = (arguments[n*2-2] + arguments[0])/2;
-            var y0 = (arguments[n*2-1] + arguments[1])/2;
+            var x0 = (p[n*2-2] + p[0])/2;
+            var y0 = (p[n*2-1] + p[1])/2;
             this.moveTo(x0,y0);
             // Now arcTo each of the remaining points
-            for(var i = 0; i < n-1; i++) {
-                this._.arcTo(arguments[i*2], arguments[i*2+1],
-                             arguments[i*2+2], arguments[i*2+3],
-                             radius);
-            }
+            for(var i = 0; i < n-1; i++)
+                arcTo.call(this, p[i*2], p[i*2+1], p[i*2+2], p[i*2+3], radius);
             // Final arcTo back to the start
-            this._.arcTo(arguments[n*2-2], arguments[n*2-1],
-                         arguments[0], arguments[1], radius);
+            arcTo.call(this, p[n*2-2], p[n*2-1], p[0], p[1], radius);
         }
 
         this.closePath();
-        this.moveTo(arguments[0], arguments[1]);
+        this.moveTo(p[0], p[1]);
+        return this;
+    }
+
+    // Like polygon(), but the path is left open unless options.closed
+    function polyline() {
+        var a = polyArgs(arguments), p = a.points, radius = a.radius;
+        if (a.options.closed) {
+            return polygon.call(this, p, radius || 0,
+                                {closed: true});
+        }
+        if (p.length < 4) throw new Error("not enough arguments");
+
+        this.moveTo(p[0], p[1]);
+        for(var i = 2; i < p.length-2; i += 2) {
+            if (radius) arcTo.call(this, p[i], p[i+1], p[i+2], p[i+3], radius);
+            else this.lineTo(p[i], p[i+1]);
+        }
+        this.lineTo(p[p.length-2], p[p.length-1]);
         return this;
     }
 
+    // Return the coordinates of the control points and end points of the
+    // cubic Bezier curves of a cardinal spline through the points p.
+    // Tension 0 gives a Catmull-Rom spline and tension 1 gives straight
+    // lines.  If closed is true, the spline also connects the last point
+    // back to the first.
+    function cardinalSpline(p, tension, closed) {
+        var n = p.length/2, k = (1 - (tension || 0))/6, curves = [];
+        function x(i) {
+            i = closed ? (i+n) % n : Math.min(Math.max(i,0), n-1);
+            return p[2*i];
+        }
+        function y(i) {
+            i = closed ? (i+n) % n : Math.min(Math.max(i,0), n-1);
+            return p[2*i+1];
+        }
+        var segments = closed ? n : n-1;
+        for(var i = 0; i < segments; i++) {
+            curves.push(x(i) + k*(x(i+1) - x(i-1)), y(i) + k*(y(i+1) - y(i-1)),
+                        x(i+1) - k*(x(i+2) - x(i)), y(i+1) - k*(y(i+2) - y(i)),
+                        x(i+1), y(i+1));
+        }
+        return curves;
+    }
+
+    // Like cardinalSpline(), but for a monotone cubic interpolation of
+    // points with distinct X coordinates, which never overshoots
+    // the Y coordinates of the points.  This is the Fritsch-Carlson method.
+    function monotoneSpline(p) {
+        var n = p.length/2, d = [], m = [], curves = [], i;
+        for(i = 0; i < n-1; i++) {          // Slopes of the secants
+            var dx = p[2*i+2] - p[2*i];
+            if (dx === 0)
+                throw new Error("monotone curves need distinct X coordinates");
+            d[i] = (p[2*i+3] - p[2*i+1])/dx;
+        }
+        m[0] = d[0];                        // Initial tangents
+        m[n-1] = d[n-2];
+        for(i = 1; i < n-1; i++)
+            m[i] = d[i-1]*d[i] <= 0 ? 0 : (d[i-1] + d[i])/2;
+        for(i = 0; i < n-1; i++) {          // Limit them to avoid overshoot
+            if (d[i] === 0) {
+                m[i] = m[i+1] = 0;
+                continue;
+            }
+            var a = m[i]/d[i], b = m[i+1]/d[i], h = a*a + b*b;
+            if (h > 9) {
+                var tau = 3/sqrt(h);
+                m[i] = tau*a*d[i];
+                m[i+1] = tau*b*d[i];
+            }
+        }
+        for(i = 0; i < n-1; i++) {
+            var x0 = p[2*i], y0 = p[2*i+1], x1 = p[2*i+2], y1 = p[2*i+3];
+            var third = (x1 - x0)/3;
+            curves.push(x0 + third, y0 + m[i]*third,
+                        x1 - third, y1 - m[i+1]*third, x1, y1);
+        }
+        return curves;
+    }
+
+    // A smooth curve through the specified points
+    function curveThrough() {
+        var a = polyArgs(arguments), p = a.points;
+        if (p.length < 4) throw new Error("not enough arguments");
+        this.moveTo(p[0], p[1]);
+        return C.apply(this, a.options.monotone
+                       ? monotoneSpline(p) : cardinalSpline(p, a.radius));
+    }
+
+    // A smooth closed curve through the specified points
+    function closedCurveThrough() {
+        var a = polyArgs(arguments), p = a.points;
+        if (p.length < 6) throw new Error("not enough arguments");
+        this.moveTo(p[0], p[1]);
+        C.apply(this, cardinalSpline(p, a.radius, true));
+        return this.closePath();
+    }
+
     function rect(x,y,w,h,radius,rotation) {
         if (arguments.length === 4) { // square corners, no rotation
             this._.rect(x,y,w,h);
+            record.apply(null, [this].concat(rectSegments(x,y,w,h)));
             setcurrent(this, x, y);
             this.startSubpathX = x;
             this.startSubpathY = y;
@@ -749,93 +1971,282 @@ var canto = (function() {  // This function returns the canto() function
     /*
      * Drawing functions
      */
-    function stroke() {
-        if (arguments.length > 0) {       // If any arguments
-            this._.save();                // save current state
-            this.set.apply(this, arguments);   // set drawing attributes
-        }
-        this._.stroke();
-        if (arguments.length > 0)
-            this._.restore();             // restore original state
+    // Apply the named 2D drawing method (such as "fill" or "stroke") to
+    // the path object path, or to the current path if path is null.
+    function drawPath(c, path, method, x, y) {
+        var args = method === "isPointInPath" ? [x,y] : [];
+        if (!path) return c._[method].apply(c._, args);
+        if (path._native) {
+            args.unshift(path._);
+            return c._[method].apply(c._, args);
+        }
+
+        // Without Path2D we replace the current path with the path object,
+        // and then rebuild the current path from canto's record of it.
+        c._.beginPath();
+        replayPath(c._, path._path);
+        var result = c._[method].apply(c._, args);
+        if (method !== "clip") rebuildPath(c);
+        return result;
+    }
+
+    // Make the path of the 2D context match canto's record of it again
+    function rebuildPath(c) {
+        c._.beginPath();
+        replayPath(c._, c._path);
+    }
+
+    // Stroke the current path or a path object, with the dash pattern
+    function strokePath(c, path) {
+        strokeDashed(c, path ? path._path : c._path, function() {
+            drawPath(c, path, "stroke");
+        });
+    }
+
+    // If the first argument is a path object, return it, and otherwise
+    // return null.  Either way, remove the path from the argument array
+    function pathArgument(args) {
+        if (args[0] instanceof CantoPath) return args.shift();
+        return null;
+    }
+
+    function stroke(/* [path], attributes... */) {
+        var args = slice(arguments, 0), path = pathArgument(args);
+        if (args.length > 0) {            // If any attribute arguments
+            this.save();                  // save current state
+            this.set.apply(this, args);   // set drawing attributes
+        }
+        strokePath(this, path);
+        retainShape(this, "stroke", path ? path._path : this._path);
+        drawMarkers(this, path ? path._path : this._path);
+        if (args.length > 0)
+            this.restore();               // restore original state
         return this;
     }
 
-    function fill() {
-        if (arguments.length > 0) {       // If any arguments
-            this._.save();                // save current state
-            this.set.apply(this, arguments);   // set drawing attributes
+    function fill(/* [path], attributes... */) {
+        var args = slice(arguments, 0), path = pathArgument(args);
+        if (args.length > 0) {            // If any attribute arguments
+            this.save();                  // save current state
+            this.set.apply(this, args);   // set drawing attributes
         }
-        this._.fill();
-        if (arguments.length > 0)
-            this._.restore();             // restore original state
+        drawPath(this, path, "fill");
+        retainShape(this, "fill", path ? path._path : this._path);
+        if (args.length > 0)
+            this.restore();               // restore original state
         return this;
     }
 
-    function paint() {
-        if (arguments.length > 0) {       // If any arguments
-            this._.save();                // save current state
-            this.set.apply(this, arguments);   // set drawing attributes
+    function paint(/* [path], attributes... */) {
+        var args = slice(arguments, 0), path = pathArgument(args);
+        if (args.length > 0) {            // If any attribute arguments
+            this.save();                  // save current state
+            this.set.apply(this, args);   // set drawing attributes
         }
-        this._.fill();
-        this._.stroke();
-        if (arguments.length > 0)
-            this._.restore();             // restore original state
+        drawPath(this, path, "fill");
+        strokePath(this, path);
+        retainShape(this, "paint", path ? path._path : this._path);
+        drawMarkers(this, path ? path._path : this._path);
+        if (args.length > 0)
+            this.restore();               // restore original state
         return this;
     }
 
+    function clip(path) {
+        drawPath(this, path instanceof CantoPath ? path : null, "clip");
+        return this;
+    }
+
+    function isPointInPath(path, x, y) {
+        if (path instanceof CantoPath)
+            return drawPath(this, path, "isPointInPath", x, y);
+        return drawPath(this, null, "isPointInPath", path, x);
+    }
+
     function fillRect(x,y,w,h) {
         if (arguments.length > 4) {
-            this._.save();
+            this.save();
             this.set.apply(this, slice(arguments,4));
         }
         this._.fillRect(x,y,w,h);
-        if (arguments.length > 4) this._.restore();
+        retainShape(this, "fill", rectSegments(x,y,w,h));
+        if (arguments.length > 4) this.restore();
         return this;
     }
 
     function strokeRect(x,y,w,h) {
         if (arguments.length > 4) {
-            this._.save();
+            this.save();
             this.set.apply(this, slice(arguments,4));
         }
-        this._.strokeRect(x,y,w,h);
-        if (arguments.length > 4) this._.restore();
+        strokeRectDashed(this, x, y, w, h);
+        retainShape(this, "stroke", rectSegments(x,y,w,h));
+        if (arguments.length > 4) this.restore();
         return this;
     }
 
+    // Stroke a rectangle with the dash pattern
+    function strokeRectDashed(c, x, y, w, h) {
+        strokeDashed(c, rectSegments(x,y,w,h), function() {
+            c._.strokeRect(x,y,w,h);
+        });
+    }
+
     function paintRect(x,y,w,h) {
         if (arguments.length > 4) {
-            this._.save();
+            this.save();
             this.set.apply(this, slice(arguments,4));
         }
         this._.fillRect(x,y,w,h);
-        this._.strokeRect(x,y,w,h);
-        if (arguments.length > 4) this._.restore();
+        strokeRectDashed(this, x, y, w, h);
+        retainShape(this, "paint", rectSegments(x,y,w,h));
+        if (arguments.length > 4) this.restore();
         return this;
     }
 
     /*
      * attribute setting, saving and restoring
      */
+
+    // The canto properties that save() and restore() save and restore
+    // along with the graphics state of the 2D context
+    var savedProperties = ["_useDegrees", "_orientation", "_penup",
+                           "_lineDash", "_lineDashOffset",
+                           "_markerStart", "_markerMid", "_markerEnd",
+                           "_theme"];
+
+    // Restore the canto properties and transformation saved by save()
+    function restoreState(c, state) {
+        for(var i = 0; i < savedProperties.length; i++)
+            c[savedProperties[i]] = state[savedProperties[i]];
+        if (state._matrix !== c._matrix) changeTransform(c, state._matrix);
+    }
+
+    // Print a debugging message about canto c on the console
+    function debugWarning(c, message) {
+        if (typeof console !== "undefined" && console.warn) {
+            var id = c.canvas && c.canvas.id;
+            console.warn("canto" + (id ? " #" + id : "") + ": " + message);
+        }
+    }
+
+    // When canto.debug is true, save() calls this function to check, when
+    // the current animation frame ends, that every save() on c has been
+    // matched by a restore().  Without requestAnimationFrame(), the check
+    // happens when the current script finishes.
+    function checkBalance(c) {
+        if (c._balanceCheck) return;
+        c._balanceCheck = true;
+        function check() {
+            c._balanceCheck = false;
+            var n = c._stateStack.length;
+            if (n > 0)
+                debugWarning(c, n + " unmatched save() call" +
+                             (n > 1 ? "s" : "") + " at end of frame");
+        }
+        if (typeof requestAnimationFrame === "function")
+            requestAnimationFrame(check);
+        else
+            setTimeout(check, 0);
+    }
+
     function save() {
+        if (canto.debug) checkBalance(this);
         this._.save();
-        this._angleUnitStack.push(this._useDegrees);
+        var state = {_matrix: this._matrix};
+        for(var i = 0; i < savedProperties.length; i++)
+            state[savedProperties[i]] = this[savedProperties[i]];
+        this._stateStack.push(state);
         return this;
     }
 
     function restore() {
         this._.restore();
-        this._useDegrees = this._angleUnitStack.pop();
+        if (this._stateStack.length > 0)
+            restoreState(this, this._stateStack.pop());
+        else if (canto.debug)
+            debugWarning(this, "restore() without a matching save()");
         return this;
     }
 
     function revert() {
         this._.restore();
         this._.save();
-        this._useDegrees = this._angleUnitStack[this._angleUnitStack.length-1];
+        if (this._stateStack.length > 0)
+            restoreState(this, this._stateStack[this._stateStack.length-1]);
         return this;
     }
 
+    function group(attributes, fn) {
+        if (typeof attributes === "function") {
+            fn = attributes;
+            attributes = null;
+        }
+        if (typeof fn !== "function")
+            throw new Error("group() requires a function");
+        var depth = this._stateStack.length;
+        this.save();
+        try {
+            var transforms = {};
+            for(var name in attributes) {
+                if (name === "translate" || name === "rotate" ||
+                    name === "scale")
+                    transforms[name] = attributes[name];
+                else
+                    this[name] = attributeValue(this, name, attributes[name]);
+            }
+            // Transformations apply in the order of an SVG transform
+            // attribute: translate, then rotate, then scale.
+            var t = transforms.translate, sc = transforms.scale;
+            if (t !== undefined) this.translate(t[0], t[1]);
+            if (transforms.rotate !== undefined)
+                this.rotate(transforms.rotate);
+            if (typeof sc === "number") this.scale(sc, sc);
+            else if (sc !== undefined) this.scale(sc[0], sc[1]);
+            fn.call(this, this);
+        }
+        finally {
+            // Also restore any states that fn saved and did not restore
+            if (canto.debug && this._stateStack.length > depth + 1)
+                debugWarning(this, "unmatched save() in group()");
+            while(this._stateStack.length > depth) this.restore();
+        }
+        return this;
+    }
+
+    // Themes registered with canto.defineTheme(), and the global theme
+    var themes = {}, globalTheme = null;
+
+    // Return a theme object for a theme object or the name of a theme
+    function lookupTheme(theme) {
+        if (typeof theme !== "string") return theme;
+        if (!themes.hasOwnProperty(theme))
+            throw new Error("unknown theme: " + theme);
+        return themes[theme];
+    }
+
+    // Resolve symbolic values: strings that begin with $ are looked up in
+    // the theme of the canto, the global theme, and the data- attributes
+    // of the canvas, in that order
+    function attributeValue(c, attribute, value) {
+        if (typeof value !== "string" || value.charAt(0) !== "$" ||
+            attribute === "theme")
+            return value;
+        var name = value.substring(1);
+        var sources = [c._theme, globalTheme];
+        for(var i = 0; i < sources.length; i++) {
+            var theme = sources[i] && lookupTheme(sources[i]);
+            if (theme && theme.hasOwnProperty(name)) return theme[name];
+        }
+        var canvas = c._.canvas;
+        var data = canvas && canvas.getAttribute &&
+            canvas.getAttribute("data-" + name);
+        if (typeof data === "string")
+            return dataValue(c, attribute, "data-" + name, data);
+        throw new Error("unknown symbol " + value + " for attribute " +
+                        attribute);
+    }
+
     function set(attributes) {
         for(var i = 0; i < arguments.length; i++) {
             var arg = arguments[i];
@@ -845,11 +2256,12 @@ var canto = (function() {  // This function returns the canto() function
                 i++;
                 if (i >= arguments.length)
                     throw new Error("missing attribute value");
-                this[arg] = arguments[i];
+                this[arg] = attributeValue(this, arg, arguments[i]);
             }
             else {
                 // Otherwise, assume an object of name/value pairs
-                for(var attr in arg) this[attr] = arg[attr];
+                for(var attr in arg)
+                    this[attr] = attributeValue(this, attr, arg[attr]);
             }
         }
 
@@ -893,58 +2305,228 @@ var canto = (function() {  // This function returns the canto() function
 
     // Left turn
     function lt(angle) {
-        this._orientation += convertAngle(this,angle);
+        this._orientation -= convertAngle(this,angle);
         this._orientation %= twopi;
         return this;
     }
 
+    // Move the turtle along a circular arc of the specified radius,
+    // turning left or right through angle (in radians), and update the
+    // heading.  The center of the circle is radius units to the left or
+    // right of the turtle.  A negative radius puts it on the other side.
+    function turtleArc(c, radius, angle, left) {
+        checkcurrent(c);
+        if (radius < 0) {
+            radius = -radius;
+            left = !left;
+        }
+        var side = left ? -1 : 1;
+        var theta = c._orientation;
+        var cx = c.currentX + radius*cos(theta + side*pi/2);
+        var cy = c.currentY + radius*sin(theta + side*pi/2);
+        var sa = theta - side*pi/2, sweep = side*angle, ea = sa + sweep;
+
+        if (c._penup) c.moveTo(cx + radius*cos(ea), cy + radius*sin(ea));
+        else {
+            var olddegrees = c._useDegrees;
+            c._useDegrees = false;
+            c.arc(cx, cy, radius, sa, ea, sweep < 0);
+            c._useDegrees = olddegrees;
+        }
+        c._orientation = (theta + sweep) % twopi;
+        return c;
+    }
+
+    function arcLeft(radius, angle) {
+        return turtleArc(this, radius, convertAngle(this,angle), true);
+    }
+
+    function arcRight(radius, angle) {
+        return turtleArc(this, radius, convertAngle(this,angle), false);
+    }
+
+    // Logo-style circle: the center is radius units to the left of the
+    // turtle (or to the right, if radius is negative).  If steps is
+    // specified, draw a regular polygon with that many sides instead.
+    function circle(radius, extent, steps) {
+        extent = extent === undefined ? twopi : convertAngle(this,extent);
+        if (!steps) return turtleArc(this, radius, extent, true);
+
+        // This is the algorithm of the Python turtle module
+        var w = extent/steps, length = abs(2*radius*sin(w/2));
+        if (radius < 0) w = -w;
+        this._orientation -= w/2;
+        for(var i = 0; i < steps; i++) {
+            fd.call(this, length);
+            this._orientation -= w;
+        }
+        this._orientation = (this._orientation + w/2) % twopi;
+        return this;
+    }
+
+    // The turtle heading is measured clockwise from straight up, as in
+    // Logo, while _orientation is measured clockwise from the X axis.
+    function setHeading(angle) {
+        this._orientation = (convertAngle(this,angle) - pi/2) % twopi;
+        return this;
+    }
+
+    // Convert an angle in radians to the current angle unit
+    function toAngleUnit(c, x) { return c._useDegrees ? x*180/pi : x; }
+
+    // Return a heading in [0, 2pi) from an angle measured from the X axis
+    function headingFrom(orientation) {
+        var heading = (orientation + pi/2) % twopi;
+        return heading < 0 ? heading + twopi : heading;
+    }
+
+    // Move to the origin, drawing a line if the pen is down, and face up
+    function home() {
+        if (this._penup || this.currentX === undefined) this.moveTo(0,0);
+        else this.lineTo(0,0);
+        this._orientation = -pi/2;
+        return this;
+    }
+
+    // The heading from the current point toward (x,y)
+    function towards(x,y) {
+        checkcurrent(this);
+        return toAngleUnit(this,
+                           headingFrom(Math.atan2(y - this.currentY,
+                                                  x - this.currentX)));
+    }
+
+    // The distance from the current point to (x,y)
+    function distanceTo(x,y) {
+        checkcurrent(this);
+        var dx = x - this.currentX, dy = y - this.currentY;
+        return sqrt(dx*dx + dy*dy);
+    }
+
+    // Save the turtle position, heading and pen state
+    function pushTurtle() {
+        checkcurrent(this);
+        this._turtleStack.push([this.currentX, this.currentY,
+                                this._orientation, this._penup]);
+        return this;
+    }
+
+    // Restore the turtle state saved by pushTurtle(), moving back to
+    // the saved position without drawing
+    function popTurtle() {
+        var state = this._turtleStack.pop();
+        if (!state) throw new Error("popTurtle() without pushTurtle()");
+        this.moveTo(state[0], state[1]);
+        this._orientation = state[2];
+        this._penup = state[3];
+        return this;
+    }
+
     /*
      * Transformations
      *
-     * XXX: All of these functions lose track of the current point and
-     *  subpath start point.  (To track those points properly would require
-     *  special handling in save() and restore().)  So you can't use
-     *  relative motion commands after doing a transformation and before
-     *  establishing a new current point.  Also, a number of other 
-     *  arc and curve commands require a current point
+     * Canto tracks the current transformation matrix itself so that
+     * the current point and the subpath start point can be mapped into
+     * the new coordinate system and relative motion commands keep working.
      */
     function translate(dx,dy) {
         this._.translate(dx,dy);
-        this.currentX = this.currentY = undefined;
-        this.startSubpathX = this.startSubpathY = undefined;
+        changeTransform(this, multiplyMatrix(this._matrix, [1,0,0,1,dx,dy]));
         return this;
     }
 
     function scale(x,y) {
         this._.scale(x,y);
-        this.currentX = this.currentY = undefined;
-        this.startSubpathX = this.startSubpathY = undefined;
+        changeTransform(this, multiplyMatrix(this._matrix, [x,0,0,y,0,0]));
         return this;
     }
 
     function rotate(angle) {
         angle = convertAngle(this,angle);
         this._.rotate(angle);
-        this.currentX = this.currentY = undefined;
-        this.startSubpathX = this.startSubpathY = undefined;
+        var s = sin(angle), c = cos(angle);
+        changeTransform(this, multiplyMatrix(this._matrix, [c,s,-s,c,0,0]));
         return this;
     }
 
-    function transform() {
-        this._.transform.apply(this._, arguments);
-        this.currentX = this.currentY = undefined;
-        this.startSubpathX = this.startSubpathY = undefined;
+    function transform(a,b,c,d,e,f) {
+        this._.transform(a,b,c,d,e,f);
+        changeTransform(this, multiplyMatrix(this._matrix, [a,b,c,d,e,f]));
         return this;
     }
 
-    function setTransform() {
-        this._.setTransform.apply(this._, arguments);
-        this.currentX = this.currentY = undefined;
-        this.startSubpathX = this.startSubpathY = undefined;
+    function setTransform(a,b,c,d,e,f) {
+        this._.setTransform(a,b,c,d,e,f);
+        changeTransform(this, [a,b,c,d,e,f]);
         return this;
     }
 
+    // Establish a coordinate system in which the rectangle minX, minY,
+    // width, height fills the canvas, like the SVG viewBox attribute.
+    function viewBox(minX, minY, width, height, preserveAspectRatio) {
+        var words = (preserveAspectRatio || "xMidYMid meet").split(/\s+/);
+        var align = words[0], slices = words[1] === "slice", match = null;
+        var sx = this._.canvas.width/width, sy = this._.canvas.height/height;
+
+        if (align !== "none") {
+            match = /^x(Min|Mid|Max)Y(Min|Mid|Max)$/.exec(align);
+            if (!match || (words[1] && words[1] !== "meet" && !slices))
+                throw new Error("bad preserveAspectRatio: " +
+                                preserveAspectRatio);
+            sx = sy = slices ? Math.max(sx,sy) : Math.min(sx,sy);
+        }
+
+        // Translate so that (minX,minY) is at the origin, and then
+        // align the scaled box within the canvas
+        var tx = -minX*sx, ty = -minY*sy;
+        var extraX = this._.canvas.width - width*sx;
+        var extraY = this._.canvas.height - height*sy;
+        if (match) {
+            if (match[1] === "Mid") tx += extraX/2;
+            else if (match[1] === "Max") tx += extraX;
+            if (match[2] === "Mid") ty += extraY/2;
+            else if (match[2] === "Max") ty += extraY;
+        }
+        return this.transform(sx, 0, 0, sy, tx, ty);
+    }
+
+    // Flip the Y axis about the horizontal line through the center
+    // of the canvas, or through y if it is specified.
+    function flipY(y) {
+        if (y === undefined) y = centerPoint(this)[1];
+        return this.transform(1, 0, 0, -1, 0, 2*y);
+    }
+
+    // Flip the X axis about the vertical line through the center
+    // of the canvas, or through x if it is specified.
+    function flipX(x) {
+        if (x === undefined) x = centerPoint(this)[0];
+        return this.transform(-1, 0, 0, 1, 2*x, 0);
+    }
+
+    // Return the center of the canvas in user coordinates
+    function centerPoint(c) {
+        return c.inverseTransformPoint(c._.canvas.width/2,
+                                       c._.canvas.height/2);
+    }
+
+    function getTransform() { return this._matrix.slice(0); }
+
+    function transformPoint(x,y) { return applyMatrix(this._matrix, x, y); }
+
+    function inverseTransformPoint(x,y) {
+        var inverse = invertMatrix(this._matrix);
+        if (!inverse) throw new Error("transformation is not invertible");
+        return applyMatrix(inverse, x, y);
+    }
+
     function createPattern(image, repeat) {
+        if (typeof image === "function") {
+            // createPattern(draw, width, height, repeat)
+            var tile = patternTile(arguments[1] || 16, arguments[2] || 16,
+                                   image);
+            return this._.createPattern(tile, arguments[3] || "repeat");
+        }
         return this._.createPattern(getImage(image), repeat);
     }
 
@@ -964,6 +2546,23 @@ var canto = (function() {  // This function returns the canto() function
      * Text methods 
      */
 
+    // Invoke the 2D fillText() or strokeText() method.  If the current
+    // transformation is a reflection (after flipY(), for example) then
+    // the text is flipped back so it remains readable.
+    function drawText(c, method, text, x, y, hasMaxWidth, maxWidth) {
+        var m = c._matrix, flipped = m[0]*m[3] - m[1]*m[2] < 0;
+        if (flipped) {
+            c._.save();
+            c._.translate(x,y);
+            if (m[3] < 0) c._.scale(1,-1);  // Y axis points up
+            else c._.scale(-1,1);           // X axis points left
+            x = y = 0;
+        }
+        if (hasMaxWidth) c._[method](text, x, y, maxWidth);
+        else c._[method](text, x, y);
+        if (flipped) c._.restore();
+    }
+
     function textWidth(text) { return this._.measureText(text).width; }
     
     function fillText(text, x, y, maxWidth) {
@@ -975,14 +2574,13 @@ var canto = (function() {  // This function returns the canto() function
         else if (arguments.length > 4) attrs = slice(arguments, 4);
         
         if (attrs) {
-            this._.save();
+            this.save();
             this.set.apply(this, attrs);
         }
 
-        if (hasMaxWidth) this._.fillText(text, x, y, maxWidth);
-        else this._.fillText(text, x, y);
+        drawText(this, "fillText", text, x, y, hasMaxWidth, maxWidth);
 
-        if (attrs) this._.restore();
+        if (attrs) this.restore();
         return this;
     }
 
@@ -995,14 +2593,16 @@ var canto = (function() {  // This function returns the canto() function
         else if (arguments.length > 4) attrs = slice(arguments, 4);
         
         if (attrs) {
-            this._.save();
+            this.save();
             this.set.apply(this, attrs);
         }
 
-        if (hasMaxWidth) this._.strokeText(text, x, y, maxWidth);
-        else  this._.strokeText(text, x, y);
+        var c = this;
+        strokeDashed(this, null, function() {
+            drawText(c, "strokeText", text, x, y, hasMaxWidth, maxWidth);
+        });
 
-        if (attrs) this._.restore();
+        if (attrs) this.restore();
         return this;
     }
 
@@ -1022,17 +2622,205 @@ var canto = (function() {  // This function returns the canto() function
         if (i < arguments.length) attrs = slice(arguments, i);
 
         if (attrs) {                           // Apply attributes
-            this._.save();
+            this.save();
             this.set.apply(this, attrs);
         }
         this._.drawImage.apply(this._, args);  // Draw the image
-        if (attrs) this._.restore();           // Retore attributes
+        if (this._tag) {                       // Retain the destination
+            if (args.length === 3) args.push(args[0].width, args[0].height);
+            var n = args.length;
+            retainShape(this, "image",
+                        rectSegments(args[n-4], args[n-3], args[n-2],
+                                     args[n-1]));
+        }
+        if (attrs) this.restore();           // Retore attributes
+        return this;
+    }
+
+    /*
+     * Retained shapes
+     */
+
+    // Tag the next drawing operation as a retained shape
+    function tag(id, data) {
+        this._tag = {id: id, data: data};
+        return this;
+    }
+
+    // If the drawing operation that is in progress was tagged, remember
+    // its geometry along with the graphics state that affects hit testing.
+    // A shape replaces any earlier shape with the same id.
+    function retainShape(c, type, segments) {
+        if (!c._tag) return;
+        var shape = {
+            id: c._tag.id,
+            data: c._tag.data,
+            type: type,
+            path: segments.slice(0),
+            transform: c._matrix,
+            lineWidth: c._.lineWidth,
+            lineCap: c._.lineCap,
+            lineJoin: c._.lineJoin,
+            miterLimit: c._.miterLimit
+        };
+        c._tag = null;
+        removeShape.call(c, shape.id);
+        c._shapes.push(shape);
+    }
+
+    function getShape(id) {
+        for(var i = 0; i < this._shapes.length; i++)
+            if (this._shapes[i].id === id) return this._shapes[i];
+        return null;
+    }
+
+    function removeShape(id) {
+        for(var i = 0; i < this._shapes.length; i++) {
+            if (this._shapes[i].id === id) {
+                this._shapes.splice(i, 1);
+                break;
+            }
+        }
+        return this;
+    }
+
+    function clearShapes() {
+        this._shapes = [];
+        return this;
+    }
+
+    // Return the topmost shape that contains the canvas point (x,y)
+    function hitTest(x,y) {
+        var ctx = this._, hit = null;
+        for(var i = this._shapes.length-1; i >= 0 && !hit; i--) {
+            var shape = this._shapes[i], m = shape.transform;
+            ctx.save();
+            ctx.setTransform(m[0], m[1], m[2], m[3], m[4], m[5]);
+            ctx.beginPath();
+            replayPath(ctx, shape.path);
+            if (shape.type !== "stroke" && ctx.isPointInPath(x,y))
+                hit = shape;
+            else if (shape.type === "stroke" || shape.type === "paint") {
+                ctx.lineWidth = shape.lineWidth;
+                ctx.lineCap = shape.lineCap;
+                ctx.lineJoin = shape.lineJoin;
+                ctx.miterLimit = shape.miterLimit;
+                if (ctx.isPointInStroke && ctx.isPointInStroke(x,y))
+                    hit = shape;
+            }
+            ctx.restore();
+        }
+        rebuildPath(this);
+        return hit;
+    }
+
+    // Register a listener for click, mouseover or mouseout events
+    // on retained shapes
+    function addShapeListener(type, listener) {
+        var c = this, canvas = this._.canvas;
+        if (!this._shapeListeners) {
+            this._shapeListeners = {click: [], mouseover: [], mouseout: []};
+            var hover = null;
+
+            // Convert event coordinates to canvas coordinates
+            var target = function(e) {
+                var box = canvas.getBoundingClientRect();
+                return c.hitTest(
+                    (e.clientX - box.left) * canvas.width/box.width,
+                    (e.clientY - box.top) * canvas.height/box.height);
+            };
+            var dispatch = function(type, shape, e) {
+                var listeners = c._shapeListeners[type];
+                for(var i = 0; i < listeners.length; i++)
+                    listeners[i].call(c, shape, e);
+            };
+            var move = function(e, shape) {
+                if (shape === hover) return;
+                if (hover) dispatch("mouseout", hover, e);
+                hover = shape;
+                if (hover) dispatch("mouseover", hover, e);
+            };
+
+            canvas.addEventListener("click", function(e) {
+                var shape = target(e);
+                if (shape) dispatch("click", shape, e);
+            }, false);
+            canvas.addEventListener("mousemove", function(e) {
+                move(e, target(e));
+            }, false);
+            canvas.addEventListener("mouseout", function(e) {
+                move(e, null);
+            }, false);
+        }
+        if (!this._shapeListeners[type])
+            throw new Error("Unsupported shape event type: " + type);
+        this._shapeListeners[type].push(listener);
+        return this;
     }
 
     // Setting a canvas size clears and resets its state
     function reset() {
         this._.canvas.width = this._.canvas.width;
         resetCantoState(this);
+        this.set(styleDefaults(this));
+    }
+
+    function refreshStyle() { return this.set(styleDefaults(this)); }
+
+    // Convert the value of a data- attribute for a canto attribute,
+    // converting it to a number for numeric attributes
+    function dataValue(c, attribute, dataName, value) {
+        if (typeof c[attribute] !== "number") return value;
+        var number = Number(value);
+        if (isNaN(number))
+            throw new Error("invalid number in " + dataName +
+                            " attribute: " + value);
+        return number;
+    }
+
+    // Return an object of default attributes for a canto from the CSS
+    // computed style and the data- attributes of its canvas element.
+    // Canvases that are not elements have no defaults.
+    function styleDefaults(c) {
+        var canvas = c._.canvas, defaults = {}, i;
+        if (!canvas || canvas.nodeType !== 1) return defaults;
+
+        // The theme comes first, since other data- attributes may use its
+        // symbols.  The loop below replaces this value but keeps its place.
+        var theme = canvas.getAttribute("data-theme");
+        if (theme !== null) defaults.theme = theme;
+
+        var style = typeof window !== "undefined" && window.getComputedStyle
+            ? window.getComputedStyle(canvas, null) : null;
+        if (style) {
+            if (style.color) defaults.strokeStyle = style.color;
+            var background = parseColor(style.backgroundColor);
+            if (background && background[3] > 0)
+                defaults.fillStyle = style.backgroundColor;
+            // Some browsers do not compute the font shorthand
+            var font = style.font || [style.fontStyle, style.fontWeight,
+                                      style.fontSize, style.fontFamily].
+                join(" ").replace(/^\s+|\s+$/g, "");
+            if (font) defaults.font = font;
+        }
+
+        // HTML lowercases attribute names, so we match data- attributes
+        // to graphics attributes ignoring case and dashes.  Others, such as
+        // data-width or data-heading, are ignored.
+        var attributes = ["lineDash", "markerStart", "markerMid", "markerEnd",
+                          "angleUnit", "theme"];
+        for(var name in contextDefaults) attributes.push(name);
+        var names = {};
+        for(i = 0; i < attributes.length; i++)
+            names[attributes[i].toLowerCase()] = attributes[i];
+        for(i = 0; i < canvas.attributes.length; i++) {
+            var attr = canvas.attributes[i];
+            if (attr.name.substring(0, 5) !== "data-") continue;
+            name = names[attr.name.substring(5).replace(/-/g, "")];
+            if (!name) continue;
+            defaults[name] = dataValue(c, name, attr.name, attr.value);
+        }
+        return defaults;
     }
 
     // Make canvas.toDataURL a method of the context, too
@@ -1041,6 +2829,12 @@ var canto = (function() {  // This function returns the canto() function
     }
 
 
+    function toSVGString() {
+        if (!this._.toSVGString)
+            throw new Error("toSVGString() requires a canto.svg() object");
+        return this._.toSVGString();
+    }
+
     /**
      * The constructor for the Canto class.
      * This constructor is private and is not exported.  Use the canto() 
@@ -1055,6 +2849,7 @@ var canto = (function() {  // This function returns the canto() function
         // Store the 2D context that we wrap using the obscure property name _
         this._ = canvas.getContext("2d");
         resetCantoState(this);
+        this.set(styleDefaults(this));
     }
 
     Canto.prototype = {
@@ -1076,6 +2871,88 @@ var canto = (function() {  // This function returns the canto() function
          */
         endPath: beginPath,  // A more logical name for it
 
+        /**
+         * Returns canto's record of the current path (the path since the
+         * last call to beginPath() or endPath()) as an array of segments.
+         * Each segment is an array whose first element is a string
+         * specifying the segment type and whose remaining elements are
+         * absolute coordinates in the current user coordinate system:
+         * ["M",x,y], ["L",x,y], ["Q",cx,cy,x,y], ["C",cx1,cy1,cx2,cy2,x,y],
+         * ["Z"] or ["ellipse",cx,cy,rx,ry,rotation,sa,ea,anticlockwise].
+         * Ellipse segments represent all arcs, and their angles are always
+         * in radians, with the end angle normalized so that ea-sa is the
+         * angle swept by the arc.
+         */
+        getPath: getPath,
+
+        /**
+         * Returns the current path as a string in the syntax of the d
+         * attribute of the SVG <path> element, suitable for passing to
+         * svgpath().  All commands use absolute coordinates, and arcs are
+         * expressed with the A command. If precision is specified, numbers
+         * are rounded to that many digits after the decimal point.
+         */
+        toSVGPath: toSVGPath,
+
+        /**
+         * Returns the exact bounding box of the current path, in the current
+         * user coordinate system, as an object with x, y, width and height
+         * properties, or null if the path draws nothing.  The box encloses
+         * the extrema of curves and arcs, not their control points.  If
+         * the stroke property of the optional options object is true, the
+         * box also encloses the stroke of the path, taking its line width,
+         * square caps and miter joins into account.  Those attributes are
+         * taken from the options object if it has properties of the same
+         * names, or from the current graphics state.
+         */
+        getPathBounds: getPathBounds,
+
+        /**
+         * Approximates the current path with straight lines, for plotters,
+         * hit testing or computing areas.  Returns an array with one
+         * object for each subpath, with a points property that holds the
+         * array of [x,y] points of the polyline, and a closed property
+         * that is true if the subpath was closed with closePath(). The
+         * first point of a closed subpath is not repeated at the end.
+         * Curves and arcs are subdivided so that no line deviates from
+         * the path by more than the tolerance, which defaults to 0.25
+         * units of the current user coordinate system.  The polylines can
+         * be passed to polyline() to draw them.
+         */
+        flattenPath: flattenPath,
+
+        /**
+         * Returns the length of the current path, like the method of the
+         * same name of the SVG <path> element.  Moves between subpaths are
+         * not included, and the lines drawn by closePath() are.  Bezier
+         * curves and elliptical arcs are measured by subdividing them
+         * until the pieces are straight to within a small tolerance.
+         */
+        getTotalLength: getTotalLength,
+
+        /**
+         * Returns the point at the specified distance along the current
+         * path as an array [x,y], or null if the path draws nothing.
+         * Distances beyond the ends of the path are clamped to the ends.
+         */
+        getPointAtLength: getPointAtLength,
+
+        /**
+         * Returns the direction of the current path at the specified
+         * distance along it, as a unit vector [dx,dy], or null if the
+         * path draws nothing.
+         */
+        getTangentAtLength: getTangentAtLength,
+
+        /**
+         * Returns a new path object (see canto.path()) holding the part of
+         * the current path between the distances from and to along it. If
+         * to is omitted, the part extends to the end of the path.  Pass the
+         * path object to stroke() to draw it: stroking growing segments of
+         * a path animates the drawing of the path.
+         */
+        getPathSegment: getPathSegment,
+
         /**
          * Just like the 2D closePath method, but chainable. Alias: z()
          */
@@ -1085,7 +2962,8 @@ var canto = (function() {  // This function returns the canto() function
          * This method is compatible with the 2D moveTo() method and the
          * SVG M command. If you specify the coordinates of more than one 
          * point, then this method behaves as if you'd passed the additional
-         * commands to lineTo().  Alias: M().
+         * commands to lineTo().  Points may also be passed as [x,y] arrays,
+         * {x,y} objects or an array of them, as with polygon().  Alias: M().
          */
         moveTo: M,
         
@@ -1099,7 +2977,8 @@ var canto = (function() {  // This function returns the canto() function
         /**
          * This method is compatible with the 2D lineTo() method and the
          * svg L command.  You may pass the coordinates of multiple points
-         * in a single call to specify a polyline.  Alias: L().
+         * in a single call to specify a polyline, and the points may be
+         * passed in any of the forms that moveTo() accepts.  Alias: L().
          */
         lineTo: L,
 
@@ -1176,10 +3055,43 @@ var canto = (function() {  // This function returns the canto() function
          * This method connects the specified points as a polygon.  It requires
          * at least 6 arguments (the coordinates of 3 points).  If an odd 
          * number of arguments are passed, the last one is taken as a corner
-         * radius.
+         * radius.  The points may also be passed as [x,y] arrays or {x,y}
+         * objects, or as an array of numbers, arrays or objects, and then
+         * a numeric argument after them is the corner radius.  An optional
+         * final object argument specifies options: if its reverse property
+         * is true, the points are connected in reverse order.
          */
         polygon: polygon,
 
+        /**
+         * This method connects the specified points with an open polyline.
+         * It takes the same arguments as polygon(), and rounds its corners
+         * with arcTo() if a radius is specified.  The options object may
+         * also have a closed property: if it is true, the polyline is
+         * closed, as with polygon().
+         */
+        polyline: polyline,
+
+        /**
+         * This method draws a smooth curve through the specified points,
+         * as a series of cubic Bezier curves. The points may be specified
+         * in any of the ways that polygon() accepts them.  A numeric
+         * argument after the points specifies the tension of the curve: 0
+         * (the default) gives a Catmull-Rom spline and 1 gives straight
+         * lines. A final options object may have a monotone property: if
+         * it is true, the curve is a monotone interpolation that never
+         * overshoots the Y coordinates of the points, which is useful for
+         * plotting data. The points must then have distinct X coordinates.
+         * After this method, S() continues the curve smoothly.
+         */
+        curveThrough: curveThrough,
+
+        /**
+         * This method is like curveThrough(), but it draws a smooth closed
+         * curve, which connects the last point back to the first.
+         */
+        closedCurveThrough: closedCurveThrough,
+
 
         // Svg commands
 
@@ -1304,6 +3216,69 @@ var canto = (function() {  // This function returns the canto() function
         /** @see #left */
         lt: lt,
 
+        /**
+         * Turtle graphics: move along a circular arc, turning left through
+         * the specified angle.  The center of the arc is radius units to
+         * the left of the turtle, and the heading changes by angle.
+         * Draws the arc if the pen is down.
+         */
+        arcLeft: arcLeft,
+
+        /**
+         * Turtle graphics: move along a circular arc, turning right through
+         * the specified angle.  Like arcLeft().
+         */
+        arcRight: arcRight,
+
+        /**
+         * Turtle graphics: draw a circle in the Logo tradition.  The center
+         * is radius units to the left of the turtle, or to the right if
+         * radius is negative.  The optional extent specifies how much of
+         * the circle to draw (the default is all of it) and the optional
+         * steps specifies that a regular polygon with that many sides is
+         * to be drawn instead of a true arc.
+         */
+        circle: circle,
+
+        /**
+         * Turtle graphics: set the heading of the turtle.  Like the heading
+         * attribute, headings are measured clockwise from straight up.
+         */
+        setHeading: setHeading,
+
+        /**
+         * Turtle graphics: move to the origin, drawing a line if the pen
+         * is down, and point straight up.
+         */
+        home: home,
+
+        /**
+         * Turtle graphics: returns the heading that would point the turtle
+         * from the current point toward (x,y).  Pass the result to
+         * setHeading().
+         */
+        towards: towards,
+
+        /**
+         * Turtle graphics: returns the distance from the current point
+         * to (x,y).
+         */
+        distanceTo: distanceTo,
+
+        /**
+         * Turtle graphics: save the position, heading and pen state of
+         * the turtle on a stack of its own.  This is useful for drawing
+         * branching figures such as trees.  save() and restore() save the
+         * heading and pen state, but not the position.
+         */
+        pushTurtle: pushTurtle,
+
+        /**
+         * Turtle graphics: move (without drawing) to the position saved by
+         * the last pushTurtle() and restore the heading and pen state.
+         */
+        popTurtle: popTurtle,
+
         /*
          * attribute setting, saving and restoring
          */
@@ -1319,6 +3294,19 @@ var canto = (function() {  // This function returns the canto() function
          */
         revert: revert,
 
+        /**
+         * Draw a group of shapes, like an SVG <g> element.  Saves the
+         * graphics state, sets the attributes in the optional attributes
+         * object, calls fn with the canto as its argument and as this,
+         * and then restores the state, even if fn throws an exception or
+         * leaves save() calls unmatched.
+         * In addition to graphics attributes, the attributes object may
+         * have translate ([dx,dy]), rotate (an angle) and scale (a number,
+         * or [sx,sy]) properties, which are applied in that order after
+         * the other attributes.  Groups may be nested.  Returns the canto.
+         */
+        group: group,
+
         /**
          * Set the graphics state attributes specified by the arguments.
          * Any number of arguments may be passed.  If an argument is a string
@@ -1352,13 +3340,19 @@ var canto = (function() {  // This function returns the canto() function
         /**
          * This method fills and then strokes the current path.  It accepts
          * temporary graphics attribute arguments like stroke() and fill() do.
+         *
+         * stroke(), fill() and paint() also accept a path object created
+         * with canto.path() as their first argument, and draw that path
+         * instead of the current path.
          */
         paint: paint,
 
         /**
-         * Like the 2D clip() method, but chainable 
+         * Like the 2D clip() method, but chainable. If a path object
+         * created with canto.path() is passed, clips to that path instead
+         * of the current path.
          */
-        clip: wrapAndReturn("clip"),
+        clip: clip,
 
         /**
          * Like the 2D clearRect() method, but chainable 
@@ -1395,39 +3389,60 @@ var canto = (function() {  // This function returns the canto() function
         scale: scale,
         /** Like the 2D method, but chainable */
         rotate: rotate,
+        /** Like the 2D transform() method, but chainable. */
+        transform: transform,
+        /** Like the 2D setTransform() method, but chainable. */
+        setTransform: setTransform,
+
+        /**
+         * Establishes a coordinate system like the SVG viewBox attribute
+         * does: the rectangle minX, minY, width, height of the new
+         * coordinate system is mapped onto the canvas.  The optional
+         * preserveAspectRatio argument works like the SVG attribute of the
+         * same name: it is "none" or an alignment such as "xMinYMax",
+         * optionally followed by "meet" (the default) or "slice".
+         * The default is "xMidYMid meet".  The new transformation is
+         * combined with the current one, like transform() does.
+         */
+        viewBox: viewBox,
 
+        /**
+         * Flips the Y axis so that Y coordinates increase upward.  The
+         * flip is about the horizontal line through y, or, if y is
+         * omitted, through the center of the canvas, so that the same
+         * region of the coordinate system remains visible.  Text drawn
+         * with fillText() and strokeText() in a flipped coordinate system
+         * is still drawn upright.
+         */
+        flipY: flipY,
 
-        // XXX:
-        // this method does not correctly update the current point
-        // or the start of the subpath, so don't call it after defining
-        // a path and before calling anything that depends on relative motion
-        // In order to implement this completely, I'd have to invert
-        // the matrix.
+        /**
+         * Flips the X axis so that X coordinates increase to the left,
+         * about the vertical line through x or through the center of the
+         * canvas.  Like flipY().
+         */
+        flipX: flipX,
 
         /**
-         * Like the 2D transform()  method, but chainable.
-         * Caution: this method does not update canto's current point.
-         * After calling this method you must define an absolute path segment
-         * (with moveTo(), lineTo(), e.g.) before you can use any relative
-         * path segment commands (such as rlineTo()).
+         * Returns the current transformation matrix as an array of six
+         * numbers [a,b,c,d,e,f], in the order used by transform() and
+         * setTransform().  Canto tracks this matrix itself and saves and
+         * restores it with save(), restore() and revert().
          */
-        transform: transform,
+        getTransform: getTransform,
 
-        // XXX:
-        // this method does not correctly update the current point
-        // or the start of the subpath, so don't call it after defining
-        // a path and before calling anything that depends on relative motion
-        // In order to completely implement this, I'd have to know the current
-        // transformation matrix, which I don't.
+        /**
+         * Maps the point (x,y) from the current user coordinate system
+         * to canvas coordinates.  Returns an array [x,y].
+         */
+        transformPoint: transformPoint,
 
         /**
-         * Like the 2D setTransform()  method, but chainable.
-         * Caution: this method does not update canto's current point.
-         * After calling this method you must define an absolute path segment
-         * (with moveTo(), lineTo(), e.g.) before you can use any relative
-         * path segment commands (such as rlineTo()).
+         * Maps the point (x,y) from canvas coordinates to the current user
+         * coordinate system.  Returns an array [x,y]. Throws an error if the
+         * current transformation is not invertible.
          */
-        setTransform: setTransform,
+        inverseTransformPoint: inverseTransformPoint,
 
         /*
          * Patterns and gradients
@@ -1438,7 +3453,12 @@ var canto = (function() {  // This function returns the canto() function
          * but allows the pattern image to be specified as a string.  If the
          * first argument is a string that begins with '#' it is taken as
          * an element id. If the argument is any other string, it is taken
-         * as the URL of an image.
+         * as the URL of an image.  The first argument may also be a
+         * function that draws the pattern tile: it is called with a canto
+         * for an offscreen canvas whose width and height are the second
+         * and third arguments (default 16), and the fourth argument is the
+         * repetition (default "repeat").  See also canto.hatch() and the
+         * other generated patterns.
          */
         createPattern: createPattern,
 
@@ -1512,21 +3532,91 @@ var canto = (function() {  // This function returns the canto() function
 
 
         /*
-         * Miscellaneous methods
+         * Retained shapes
          */
 
         /**
-         * Clears and resets the graphical state of the canvas
+         * Tags the next drawing operation (fill(), stroke(), paint(),
+         * fillRect(), strokeRect(), paintRect() or drawImage()) as a
+         * retained shape with the specified id and optional data.  Canto
+         * remembers the geometry and transformation of retained shapes so
+         * that hitTest() can find them later. A shape replaces any earlier
+         * shape with the same id.  Shapes are objects with id, data and
+         * type properties, where type is "fill", "stroke", "paint" or
+         * "image".
          */
-        reset: reset,
+        tag: tag,
 
-        /** 
-         * This method just invokes the toDataURL() method of the canvas. 
-         */
-        toDataURL: toDataURL,
+        /** Returns the retained shape with the specified id, or null. */
+        getShape: getShape,
 
-        /** Like the 2D method. */
-        isPointInPath: wrap("isPointInPath"),
+        /** Forgets the retained shape with the specified id. */
+        removeShape: removeShape,
+
+        /** Forgets all retained shapes.  reset() does this too. */
+        clearShapes: clearShapes,
+
+        /**
+         * Returns the topmost retained shape that contains the point (x,y),
+         * or null if there is none.  The coordinates are canvas coordinates,
+         * unaffected by the current transformation.  Filled shapes are hit
+         * inside their path, and stroked shapes are hit on their stroke.
+         * Hit testing on strokes requires the 2D isPointInStroke() method.
+         */
+        hitTest: hitTest,
+
+        /**
+         * Registers a function to be called when the user clicks on a
+         * retained shape ("click") or when the mouse moves onto
+         * ("mouseover") or off of ("mouseout") a retained shape.  The
+         * listener is invoked as a method of the canto, with the shape and
+         * the mouse event as its arguments.
+         */
+        addShapeListener: addShapeListener,
+
+        /*
+         * Miscellaneous methods
+         */
+
+        /**
+         * Clears and resets the graphical state of the canvas, and then
+         * applies the default attributes of the canvas element, as
+         * canto() does when it first wraps a canvas.  See refreshStyle().
+         */
+        reset: reset,
+
+        /**
+         * Sets attributes from the canvas element: strokeStyle from its CSS
+         * computed color, fillStyle from its computed background-color
+         * (unless that is transparent), font from its computed font, and
+         * any attribute named by a data- attribute, such as
+         * data-line-width="5" or data-linejoin="round". Names of data-
+         * attributes are matched ignoring case and dashes, and their
+         * values are converted to numbers for numeric attributes.  Canto
+         * does this when it first wraps a canvas and after reset(), so
+         * that a stylesheet can theme a canvas. Call this method to apply
+         * the style again after it changes, when the class of the canvas
+         * changes, for example.
+         */
+        refreshStyle: refreshStyle,
+
+        /** 
+         * This method just invokes the toDataURL() method of the canvas. 
+         */
+        toDataURL: toDataURL,
+
+        /**
+         * For a canto created with canto.svg(), this method returns the
+         * drawing as an SVG document.
+         */
+        toSVGString: toSVGString,
+
+        /**
+         * Like the 2D method. If the first argument is a path object
+         * created with canto.path(), tests that path instead of the
+         * current path.
+         */
+        isPointInPath: isPointInPath,
         /** Like the 2D method. */
         drawFocusRing: wrap("drawFocusRing"),
 
@@ -1551,8 +3641,9 @@ var canto = (function() {  // This function returns the canto() function
          * The canto object has an angleUnit property that specifies how
          * angles are measured. Legal values are "radians" (the default) and
          * "degrees". The value of this property affects the interpretation
-         * of angles in the arc(), ellipse(), rotate(), left() and right()
-         * methods, but does not affect the interpretation of angles in the 
+         * of angles in the arc(), ellipse(), rotate(), left(), right() and
+         * setHeading() methods and the heading attribute, but does not
+         * affect the interpretation of angles in the 
          * SVG methods A(), a(), and svgpath(): SVG paths always measure
          * angles in degrees.  The state of this property is saved and
          * restored by save(), restore(), and revert().
@@ -1567,12 +3658,106 @@ var canto = (function() {  // This function returns the canto() function
             else throw new Error("Unsupported angle unit: " + x);
         },
 
+        /**
+         * The heading of the turtle, measured clockwise from straight up,
+         * as in Logo, in the units specified by angleUnit. Headings are
+         * between 0 and 360 degrees (or 2pi radians). The heading is saved
+         * and restored by save(), restore(), and revert().
+         */
+        get heading() {
+            return toAngleUnit(this, headingFrom(this._orientation));
+        },
+        set heading(x) { this.setHeading(x); },
+
+        /**
+         * The state of the turtle's pen: "up" or "down".  This is saved
+         * and restored by save(), restore(), and revert().
+         */
+        get penState() { return this._penup ? "up" : "down"; },
+        set penState(x) {
+            if (x === "up") this._penup = true;
+            else if (x === "down") this._penup = false;
+            else throw new Error("Unsupported pen state: " + x);
+        },
+
+        /**
+         * The dash pattern for stroking lines.  Set it to an array of
+         * alternating dash and gap lengths (as for the 2D setLineDash()
+         * method), to a string of such lengths separated by spaces or
+         * commas, or to one of the names "solid", "dashed", "dotted" or
+         * "dash-dot" for a pattern in units of the line width. Set it to
+         * "none" or [] for solid lines.  Where the 2D context does not
+         * support dashes, canto strokes the dashes itself, following
+         * curves and arcs.  The dash pattern and the lineDashOffset
+         * attribute are saved and restored by save(), restore(), and
+         * revert().
+         */
+        get lineDash() {
+            var dash = this._lineDash;
+            return typeof dash === "string" ? dash : dash.slice(0);
+        },
+        set lineDash(x) {
+            this._lineDash = parseLineDash(x);
+            applyLineDash(this);
+        },
+
+        /**
+         * The distance into the dash pattern at which stroking starts.
+         */
+        get lineDashOffset() { return this._lineDashOffset; },
+        set lineDashOffset(x) {
+            this._lineDashOffset = Number(x) || 0;
+            if (this._.setLineDash)
+                this._.lineDashOffset = this._lineDashOffset;
+        },
+
+        /**
+         * The markers that stroke() and paint() draw at the vertices of the
+         * path, like the marker properties of SVG: markerStart at the
+         * first vertex, markerEnd at the last, and markerMid at all the
+         * others.  The value of each is "none" (the default), one of the
+         * built-in markers "arrow", "circle", "square" and "bar", or a
+         * function that draws a marker.  Markers are filled with the
+         * strokeStyle and oriented along the path, with the start marker
+         * reversed so that arrows point out of both ends.  A marker
+         * function is passed the canto and the string "start", "mid" or
+         * "end", and draws in a coordinate system with its origin at the
+         * vertex, its X axis along the path, and a unit of the line
+         * width.  The markers are saved and restored by save(),
+         * restore(), and revert().
+         */
+        get markerStart() { return this._markerStart; },
+        set markerStart(x) { this._markerStart = checkMarker(x); },
+        get markerMid() { return this._markerMid; },
+        set markerMid(x) { this._markerMid = checkMarker(x); },
+        get markerEnd() { return this._markerEnd; },
+        set markerEnd(x) { this._markerEnd = checkMarker(x); },
+
+        /**
+         * The theme for symbolic attribute values: an object that maps
+         * names to attribute values, the name of a theme defined with
+         * canto.defineTheme(), or null.  When set() (or a drawing method
+         * with attribute arguments) is passed a string that begins with
+         * $, such as "$accent", the rest of the string is looked up in
+         * this theme, then in the global theme set with canto.setTheme(),
+         * and then in the data- attributes of the canvas, such as
+         * data-accent.  An unknown theme name or symbol is an error.
+         * Symbols are resolved when they are set, so switching themes and
+         * drawing again restyles the drawing. The theme is saved and
+         * restored by save(), restore(), and revert().
+         */
+        get theme() { return this._theme; },
+        set theme(x) {
+            if (x) lookupTheme(x);  // Check the name
+            this._theme = x;
+        },
+
         /**
          * Graphics attribute properties: just like the 2D attributes.
          * These are all saved and restored by save() and restore()
          */
         get fillStyle() { return this._.fillStyle; },
-        set fillStyle(x) { this._.fillStyle = x; },
+        set fillStyle(x) { this._.fillStyle = colorValue(x); },
         get font() { return this._.font; },
         set font(x) { this._.font = x; },
         get globalAlpha() { return this._.globalAlpha; },
@@ -1584,33 +3769,1410 @@ var canto = (function() {  // This function returns the canto() function
         get lineJoin() { return this._.lineJoin; },
         set lineJoin(x) { this._.lineJoin = x; },
         get lineWidth() { return this._.lineWidth; },
-        set lineWidth(x) { this._.lineWidth = x; },
+        set lineWidth(x) {
+            this._.lineWidth = x;
+            // Named dash patterns scale with the line width
+            if (typeof this._lineDash === "string") applyLineDash(this);
+        },
         get miterLimit() { return this._.miterLimit; },
         set miterLimit(x) { this._.miterLimit = x; },
         get shadowBlur() { return this._.shadowBlur; },
         set shadowBlur(x) { this._.shadowBlur = x; },
         get shadowColor() { return this._.shadowColor; },
-        set shadowColor(x) { this._.shadowColor = x; },
+        set shadowColor(x) { this._.shadowColor = colorValue(x); },
         get shadowOffsetX() { return this._.shadowOffsetX; },
         set shadowOffsetX(x) { this._.shadowOffsetX = x; },
         get shadowOffsetY() { return this._.shadowOffsetY; },
         set shadowOffsetY(x) { this._.shadowOffsetY = x; },
         get strokeStyle() { return this._.strokeStyle; },
-        set strokeStyle(x) { this._.strokeStyle = x; },
+        set strokeStyle(x) { this._.strokeStyle = colorValue(x); },
         get textAlign() { return this._.textAlign; },
         set textAlign(x) { this._.textAlign = x; },
         get textBaseline() { return this._.textBaseline; },
         set textBaseline(x) { this._.textBaseline = x; }
     };
 
-    // Return the canto() factory function.
+    // Path objects without Path2D record their segments into this sink
+    var nullPath = {
+        moveTo: function() {}, lineTo: function() {}, closePath: function() {},
+        quadraticCurveTo: function() {}, bezierCurveTo: function() {},
+        arc: function() {}, arcTo: function() {}, ellipse: function() {},
+        rect: function() {}
+    };
+
+    /**
+     * The constructor for path objects.  This constructor is private.
+     * Use the canto.path() factory function instead.
+     * @constructor
+     * @private
+     */
+    function CantoPath() {
+        // Where available, build a native Path2D object as we go.
+        this._native = typeof Path2D !== "undefined";
+        this._ = this._native ? new Path2D() : nullPath;
+        this._path = [];
+        this._measures = null;
+        this._pathIsEmpty = true;
+        this._useDegrees = false;
+        this.currentX = this.currentY = undefined;
+        this.startSubpathX = this.startSubpathY = undefined;
+        this._lastCCP = this._lastQCP = undefined;
+    }
+
+    // Path objects share the path building methods of Canto objects.
+    // See the Canto methods of the same name for documentation.
+    CantoPath.prototype = {
+        constructor: CantoPath,
+        closePath: z,
+        moveTo: M,
+        rmoveTo: m,
+        lineTo: L,
+        rlineTo: l,
+        quadraticCurveTo: Q,
+        rquadraticCurveTo: q,
+        bezierCurveTo: C,
+        rbezierCurveTo: c,
+        arcTo: arcTo,
+        arc: arc,
+        ellipse: ellipse,
+        rect: rect,
+        polygon: polygon,
+        polyline: polyline,
+        curveThrough: curveThrough,
+        closedCurveThrough: closedCurveThrough,
+        svgpath: svgpath,
+        getPath: getPath,
+        toSVGPath: toSVGPath,
+        getPathBounds: getPathBounds,
+        flattenPath: flattenPath,
+        getTotalLength: getTotalLength,
+        getPointAtLength: getPointAtLength,
+        getTangentAtLength: getTangentAtLength,
+        getPathSegment: getPathSegment,
+        M: M, m: m, L: L, l: l, H: H, h: h, V: V, v: v,
+        C: C, c: c, S: S, s: s, Q: Q, q: q, T: T, t: t,
+        A: A, a: a, Z: z, z: z,
+
+        /** Like the angleUnit property of a canto. */
+        get angleUnit() {
+            if (this._useDegrees) return "degrees";
+            else return "radians"
+        },
+        set angleUnit(x) {
+            if (x === "radians") this._useDegrees = false;
+            else if (x === "degrees") this._useDegrees = true;
+            else throw new Error("Unsupported angle unit: " + x);
+        }
+    };
+
+    /*
+     * SVG output.
+     *
+     * An SVGContext implements the 2D context API by building an SVG
+     * document instead of drawing pixels, so that a canto wrapped around
+     * it produces vector output.  Like a canvas, it keeps the current
+     * path in canvas coordinates.  When the path is filled or stroked it
+     * is mapped back into the current user coordinate system, and the
+     * <path> element gets the current transformation, so that line widths
+     * and gradients are interpreted just as the canvas interprets them.
+     */
+
+    // The graphics attributes of a 2D context and their default values.
+    // Used by the SVG and recording contexts, which are not canvases.
+    var contextDefaults = {
+        fillStyle: "#000000", strokeStyle: "#000000",
+        globalAlpha: 1, globalCompositeOperation: "source-over",
+        lineWidth: 1, lineCap: "butt", lineJoin: "miter", miterLimit: 10,
+        shadowBlur: 0, shadowColor: "rgba(0, 0, 0, 0)",
+        shadowOffsetX: 0, shadowOffsetY: 0,
+        font: "10px sans-serif", textAlign: "start",
+        textBaseline: "alphabetic", lineDashOffset: 0
+    };
+
+    // Estimate the width of text in a font, for contexts without a canvas
+    function estimateTextWidth(font, text) {
+        var size = /(\d*\.?\d+)px/.exec(font);
+        return String(text).length*0.6*(size ? +size[1] : 10);
+    }
+
+    // Return an object that stands in for a canvas element, with
+    // a 2D context created by the specified constructor.  Like a canvas,
+    // setting its width or height resets the context.
+    function standInCanvas(width, height, Context) {
+        var context;
+        var canvas = {
+            get width() { return width; },
+            set width(x) { width = x; context._reset(); },
+            get height() { return height; },
+            set height(x) { height = x; context._reset(); },
+            getContext: function(type) {
+                return type === "2d" ? context : null;
+            },
+            toDataURL: function() { return context._toDataURL(); }
+        };
+        context = new Context(canvas);
+        return canvas;
+    }
+
+    // Escape text for use in XML content and attribute values
+    function xmlEscape(s) {
+        return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").
+            replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+    }
+
+    // Format an element from a tag name, an object of attributes and
+    // optional content.  Attributes with undefined values are omitted.
+    function xmlElement(tag, attributes, content) {
+        var s = "<" + tag;
+        for(var name in attributes) {
+            if (attributes[name] !== undefined)
+                s += " " + name + '="' + xmlEscape(attributes[name]) + '"';
+        }
+        if (content === undefined) return s + "/>";
+        return s + ">" + content + "</" + tag + ">";
+    }
+
+    function unsupported(name) {
+        return function() {
+            throw new Error(name + "() is not supported in SVG output");
+        };
+    }
+
+    /**
+     * Gradients created by an SVGContext.
+     * @constructor
+     * @private
+     */
+    function SVGGradient(id, tag, attributes) {
+        this.id = id;
+        this.tag = tag;
+        this.attributes = attributes;
+        this.stops = [];
+    }
+    SVGGradient.prototype.addColorStop = function(offset, color) {
+        this.stops.push(xmlElement("stop", {offset: offset,
+                                            "stop-color": String(color)}));
+    };
+    SVGGradient.prototype.toString = function() {
+        var attributes = {id: this.id, gradientUnits: "userSpaceOnUse"};
+        for(var name in this.attributes)
+            attributes[name] = this.attributes[name];
+        return xmlElement(this.tag, attributes, this.stops.join(""));
+    };
+
+    /**
+     * The 2D context of a canvas created by canto.svg().
+     * @constructor
+     * @private
+     */
+    function SVGContext(canvas) {
+        this.canvas = canvas;
+        this._reset();
+    }
+
+    SVGContext.prototype = {
+        // Discard all content and state, as setting canvas.width does
+        _reset: function() {
+            for(var name in contextDefaults)
+                this[name] = contextDefaults[name];
+            this._matrix = identity;
+            this._lineDash = [];
+            this._clip = undefined;  // id of the current <clipPath>
+            this._stack = [];
+            this._elements = [];
+            this._defs = [];
+            this._nextId = 1;
+            this.beginPath();
+        },
+
+        _id: function(prefix) { return prefix + this._nextId++; },
+
+        save: function() {
+            var state = {_matrix: this._matrix, _clip: this._clip,
+                         _lineDash: this._lineDash};
+            for(var name in contextDefaults) state[name] = this[name];
+            this._stack.push(state);
+        },
+
+        restore: function() {
+            var state = this._stack.pop();
+            if (!state) return;
+            for(var name in state) this[name] = state[name];
+        },
+
+        /*
+         * Transformations
+         */
+        transform: function(a,b,c,d,e,f) {
+            this._matrix = multiplyMatrix(this._matrix, [a,b,c,d,e,f]);
+        },
+        setTransform: function(a,b,c,d,e,f) { this._matrix = [a,b,c,d,e,f];},
+        translate: function(x,y) { this.transform(1,0,0,1,x,y); },
+        scale: function(x,y) { this.transform(x,0,0,y,0,0); },
+        rotate: function(angle) {
+            var s = sin(angle), c = cos(angle);
+            this.transform(c,s,-s,c,0,0);
+        },
+
+        /*
+         * Path building. Points are stored in canvas coordinates.
+         */
+        _add: function(segment) {
+            segment = transformSegment(segment, this._matrix);
+            this._segments.push(segment);
+            if (segment[0] === "M") {
+                this._start = [segment[1], segment[2]];
+                this._current = this._start;
+            }
+            else if (segment[0] === "Z") this._current = this._start;
+            else if (segment[0] !== "ellipse")
+                this._current = segment.slice(segment.length-2);
+        },
+
+        // Return the current point in user coordinates, or undefined
+        _currentPoint: function() {
+            var inverse = invertMatrix(this._matrix);
+            if (!this._current || !inverse) return undefined;
+            return applyMatrix(inverse, this._current[0], this._current[1]);
+        },
+
+        // If there is no current point, move to (x,y)
+        _ensure: function(x,y) { if (!this._current) this.moveTo(x,y); },
+
+        beginPath: function() {
+            this._segments = [];
+            this._start = this._current = undefined;
+        },
+        moveTo: function(x,y) { this._add(["M",x,y]); },
+        lineTo: function(x,y) {
+            this._ensure(x,y);
+            this._add(["L",x,y]);
+        },
+        quadraticCurveTo: function(cx,cy,x,y) {
+            this._ensure(cx,cy);
+            this._add(["Q",cx,cy,x,y]);
+        },
+        bezierCurveTo: function(cx1,cy1,cx2,cy2,x,y) {
+            this._ensure(cx1,cy1);
+            this._add(["C",cx1,cy1,cx2,cy2,x,y]);
+        },
+        closePath: function() {
+            if (this._current) this._add(["Z"]);
+        },
+        rect: function(x,y,w,h) {
+            this.moveTo(x,y);
+            this.lineTo(x+w,y);
+            this.lineTo(x+w,y+h);
+            this.lineTo(x,y+h);
+            this.closePath();
+        },
+        arc: function(x,y,r,sa,ea,anticlockwise) {
+            this.ellipse(x,y,r,r,0,sa,ea,anticlockwise);
+        },
+        ellipse: function(cx,cy,rx,ry,rotation,sa,ea,anticlockwise) {
+            var sp = rotatePoint(rx*cos(sa), ry*sin(sa), rotation);
+            this.lineTo(cx + sp[0], cy + sp[1]);
+            var segment = ellipseSegment(cx,cy,rx,ry,rotation,
+                                         sa,ea,anticlockwise);
+            this._add(segment);
+            var ep = rotatePoint(rx*cos(segment[7]), ry*sin(segment[7]),
+                                 rotation);
+            this._current = applyMatrix(this._matrix,
+                                        cx + ep[0], cy + ep[1]);
+        },
+        arcTo: function(x1,y1,x2,y2,r) {
+            this._ensure(x1,y1);
+            var p = this._currentPoint();
+            var arc = p && arcToGeometry(p[0], p[1], x1, y1, x2, y2, r);
+            if (!arc) this.lineTo(x1,y1);
+            else this.arc(arc[0], arc[1], r, arc[2], arc[3], arc[4]);
+        },
+
+        /*
+         * Drawing
+         */
+
+        // Return the d attribute for the current path, in the user
+        // coordinate system, or null if the transformation is singular
+        _pathData: function(segments) {
+            var inverse = invertMatrix(this._matrix);
+            if (!inverse || segments.length === 0) return null;
+            var mapped = [];
+            for(var i = 0; i < segments.length; i++)
+                mapped.push(transformSegment(segments[i], inverse));
+            return pathToSVG(mapped);
+        },
+
+        // The transform attribute for the current transformation
+        _transform: function() {
+            var m = this._matrix;
+            if (m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 &&
+                m[4] === 0 && m[5] === 0) return undefined;
+            return "matrix(" + m.join(" ") + ")";
+        },
+
+        // Convert a fillStyle or strokeStyle value to an SVG paint value
+        _paint: function(style) {
+            if (style instanceof SVGGradient) return "url(#" + style.id + ")";
+            return String(style);
+        },
+
+        _emit: function(tag, attributes, content) {
+            attributes.transform = this._transform();
+            if (this.globalAlpha !== 1) attributes.opacity = this.globalAlpha;
+            if (this._clip)
+                attributes["clip-path"] = "url(#" + this._clip + ")";
+            this._elements.push(xmlElement(tag, attributes, content));
+        },
+
+        _strokeAttributes: function(attributes) {
+            attributes.stroke = this._paint(this.strokeStyle);
+            attributes["stroke-width"] = this.lineWidth;
+            if (this.lineCap !== "butt")
+                attributes["stroke-linecap"] = this.lineCap;
+            if (this.lineJoin !== "miter")
+                attributes["stroke-linejoin"] = this.lineJoin;
+            else if (this.miterLimit !== 4)
+                attributes["stroke-miterlimit"] = this.miterLimit;
+            if (this._lineDash.length) {
+                attributes["stroke-dasharray"] = this._lineDash.join(" ");
+                if (this.lineDashOffset)
+                    attributes["stroke-dashoffset"] = this.lineDashOffset;
+            }
+            return attributes;
+        },
+
+        setLineDash: function(pattern) { this._lineDash = slice(pattern, 0); },
+        getLineDash: function() { return this._lineDash.slice(0); },
+
+        fill: function() {
+            var d = this._pathData(this._segments);
+            if (d) this._emit("path", {d: d,
+                                       fill: this._paint(this.fillStyle)});
+        },
+        stroke: function() {
+            var d = this._pathData(this._segments);
+            if (d) this._emit("path",
+                              this._strokeAttributes({d: d, fill: "none"}));
+        },
+        clip: function() {
+            var d = this._pathData(this._segments);
+            if (!d) return;
+            var id = this._id("clip");
+            var path = xmlElement("path", {d: d,
+                                           transform: this._transform()});
+            // Clipping regions intersect, so the new clip path is
+            // itself clipped by the current one
+            this._defs.push(xmlElement("clipPath", {
+                id: id,
+                "clip-path": this._clip ? "url(#" + this._clip + ")"
+                                        : undefined
+            }, path));
+            this._clip = id;
+        },
+
+        fillRect: function(x,y,w,h) {
+            var segments = this._segments;
+            this.beginPath();
+            this.rect(x,y,w,h);
+            this.fill();
+            this._segments = segments;
+        },
+        strokeRect: function(x,y,w,h) {
+            var segments = this._segments;
+            this.beginPath();
+            this.rect(x,y,w,h);
+            this.stroke();
+            this._segments = segments;
+        },
+
+        // SVG output can't erase part of a drawing, so this only
+        // handles clearing the entire canvas.  Other calls are ignored.
+        clearRect: function(x,y,w,h) {
+            var m = this._matrix;
+            if (m[1] !== 0 || m[2] !== 0) return;
+            var p1 = applyMatrix(m, x, y), p2 = applyMatrix(m, x+w, y+h);
+            if (Math.min(p1[0],p2[0]) <= 0 && Math.min(p1[1],p2[1]) <= 0 &&
+                Math.max(p1[0],p2[0]) >= this.canvas.width &&
+                Math.max(p1[1],p2[1]) >= this.canvas.height)
+                this._elements = [];
+        },
+
+        /*
+         * Gradients
+         */
+        createLinearGradient: function(x1,y1,x2,y2) {
+            var g = new SVGGradient(this._id("gradient"), "linearGradient",
+                                    {x1: x1, y1: y1, x2: x2, y2: y2});
+            this._defs.push(g);
+            return g;
+        },
+        createRadialGradient: function(x1,y1,r1,x2,y2,r2) {
+            var g = new SVGGradient(this._id("gradient"), "radialGradient",
+                                    {fx: x1, fy: y1, fr: r1,
+                                     cx: x2, cy: y2, r: r2});
+            this._defs.push(g);
+            return g;
+        },
+
+        /*
+         * Text
+         */
+        _text: function(text, x, y, attributes) {
+            var anchors = {start: "start", left: "start", center: "middle",
+                           end: "end", right: "end"};
+            var baselines = {top: "text-before-edge", hanging: "hanging",
+                             middle: "central", ideographic: "ideographic",
+                             bottom: "text-after-edge"};
+            attributes.x = x;
+            attributes.y = y;
+            attributes.style = "font: " + this.font;
+            if (this.textAlign !== "start")
+                attributes["text-anchor"] = anchors[this.textAlign];
+            attributes["dominant-baseline"] = baselines[this.textBaseline];
+            this._emit("text", attributes, xmlEscape(text));
+        },
+        // The maxWidth argument of fillText() and strokeText() is ignored
+        fillText: function(text, x, y) {
+            this._text(text, x, y, {fill: this._paint(this.fillStyle)});
+        },
+        strokeText: function(text, x, y) {
+            this._text(text, x, y, this._strokeAttributes({fill: "none"}));
+        },
+
+        // Measure text with a real canvas if there is one, and otherwise
+        // estimate the width from the font size.
+        measureText: function(text) {
+            if (typeof document !== "undefined" && document.createElement) {
+                var c = document.createElement("canvas").getContext("2d");
+                c.font = this.font;
+                return c.measureText(text);
+            }
+            return { width: estimateTextWidth(this.font, text) };
+        },
+
+        /*
+         * Images
+         */
+        drawImage: function(image) {
+            var a = slice(arguments, 1);
+            var href = image.toDataURL ? image.toDataURL() : image.src;
+            if (a.length === 2) a.push(image.width, image.height);
+            if (a.length === 4) {
+                this._emit("image", {"xlink:href": href,
+                                     x: a[0], y: a[1],
+                                     width: a[2], height: a[3]});
+                return;
+            }
+            // With a source rectangle, nest the image in an <svg> whose
+            // viewBox selects the source rectangle
+            var img = xmlElement("image", {"xlink:href": href,
+                                           width: image.width,
+                                           height: image.height});
+            this._emit("svg", {x: a[4], y: a[5], width: a[6], height: a[7],
+                               viewBox: a.slice(0,4).join(" "),
+                               preserveAspectRatio: "none"}, img);
+        },
+
+        createPattern: unsupported("createPattern"),
+        isPointInPath: unsupported("isPointInPath"),
+        createImageData: unsupported("createImageData"),
+        getImageData: unsupported("getImageData"),
+        putImageData: unsupported("putImageData"),
+        drawFocusRing: function() {},
+
+        _toDataURL: function() {
+            return "data:image/svg+xml," +
+                encodeURIComponent(this.toSVGString());
+        },
+
+        // Serialize the drawing as a complete SVG document
+        toSVGString: function() {
+            var w = this.canvas.width, h = this.canvas.height;
+            var defs = this._defs.length
+                ? "<defs>" + this._defs.join("") + "</defs>" : "";
+            return xmlElement("svg", {
+                xmlns: "http://www.w3.org/2000/svg",
+                "xmlns:xlink": "http://www.w3.org/1999/xlink",
+                width: w, height: h, viewBox: "0 0 " + w + " " + h
+            }, defs + this._elements.join(""));
+        }
+    };
+
+    /*
+     * Recording contexts.
+     *
+     * A RecordingContext implements the 2D context API without drawing
+     * anything: it appends a description of every method call and
+     * attribute assignment to its log array, so that canto can be tested
+     * without a browser.  Each log entry is an object with a call property
+     * (the method name) and an args property (an array of arguments), or
+     * a set property (the attribute name) and a value property.  Every
+     * entry also has a state property holding a copy of the graphics
+     * attributes and the transformation matrix (as the transform property)
+     * at the time of the call, before the call takes effect.
+     */
+
+    /**
+     * @constructor
+     * @private
+     */
+    function RecordingContext(canvas) {
+        this.canvas = canvas;
+        this._reset();
+    }
+
+    RecordingContext.prototype = {
+        _reset: function() {
+            this._state = {transform: identity, lineDash: []};
+            for(var name in contextDefaults)
+                this._state[name] = contextDefaults[name];
+            this._stack = [];
+            this.log = [];
+        },
+
+        _log: function(entry) {
+            var state = {};
+            for(var name in this._state) state[name] = this._state[name];
+            state.transform = state.transform.slice(0);
+            entry.state = state;
+            this.log.push(entry);
+        },
+
+        _transform: function(m) {
+            this._state.transform = multiplyMatrix(this._state.transform, m);
+        },
+
+        _toDataURL: function() { return "data:,"; }
+    };
+
+    // Define the methods of the recording context. Each logs its call and
+    // then has the effect defined here, if any.
+    (function() {
+        var effects = {
+            save: function() {
+                var state = {};
+                for(var name in this._state) state[name] = this._state[name];
+                this._stack.push(state);
+            },
+            restore: function() {
+                if (this._stack.length > 0) this._state = this._stack.pop();
+            },
+            setLineDash: function(pattern) {
+                this._state.lineDash = slice(pattern, 0);
+            },
+            getLineDash: function() { return this._state.lineDash.slice(0); },
+            transform: function(a,b,c,d,e,f) {
+                this._transform([a,b,c,d,e,f]);
+            },
+            setTransform: function(a,b,c,d,e,f) {
+                this._state.transform = [a,b,c,d,e,f];
+            },
+            translate: function(x,y) { this._transform([1,0,0,1,x,y]); },
+            scale: function(x,y) { this._transform([x,0,0,y,0,0]); },
+            rotate: function(a) {
+                this._transform([cos(a),sin(a),-sin(a),cos(a),0,0]);
+            },
+            measureText: function(text) {
+                return { width: estimateTextWidth(this._state.font, text) };
+            },
+            createLinearGradient: function() {
+                return { type: "linear", args: slice(arguments, 0), stops: [],
+                         addColorStop: function(offset, color) {
+                             this.stops.push([offset, color]);
+                         }};
+            },
+            createRadialGradient: function() {
+                var g = effects.createLinearGradient.apply(this, arguments);
+                g.type = "radial";
+                return g;
+            },
+            createPattern: function(image, repetition) {
+                return { image: image, repetition: repetition };
+            },
+            createImageData: function(w, h) {
+                return { width: w, height: h, data: [] };
+            },
+            getImageData: function(x, y, w, h) {
+                return { width: w, height: h, data: [] };
+            },
+            isPointInPath: function() { return false; }
+        };
+
+        var methods = ["beginPath", "closePath", "moveTo", "lineTo",
+                       "quadraticCurveTo", "bezierCurveTo", "arcTo", "arc",
+                       "ellipse", "rect", "fill", "stroke", "clip",
+                       "clearRect", "fillRect", "strokeRect", "fillText",
+                       "strokeText", "drawImage", "putImageData",
+                       "drawFocusRing"];
+        for(var name in effects) methods.push(name);
+
+        function method(name) {
+            return function() {
+                this._log({call: name, args: slice(arguments, 0)});
+                if (effects[name]) return effects[name].apply(this, arguments);
+            };
+        }
+
+        function attribute(name) {
+            Object.defineProperty(RecordingContext.prototype, name, {
+                get: function() { return this._state[name]; },
+                set: function(value) {
+                    this._log({set: name, value: value});
+                    this._state[name] = value;
+                }
+            });
+        }
+
+        for(var i = 0; i < methods.length; i++)
+            RecordingContext.prototype[methods[i]] = method(methods[i]);
+        for(var name in contextDefaults) attribute(name);
+    }());
+
+    /*
+     * L-systems
+     */
+
+    // Return a function that returns pseudo-random numbers in [0,1).
+    // This is the Park-Miller "minimal standard" generator.
+    function seededRandom(seed) {
+        seed = Math.floor(abs(seed)) % 2147483647 || 1;
+        return function() {
+            seed = seed * 16807 % 2147483647;
+            return (seed - 1) / 2147483646;
+        };
+    }
+
+    /**
+     * The constructor for L-systems.  This constructor is private.
+     * Use the canto.lsystem() factory function instead.
+     * @constructor
+     * @private
+     */
+    function LSystem(options) {
+        this.axiom = options.axiom;
+        this.rules = options.rules || {};
+        this.iterations = options.iterations || 0;
+        var random = options.seed === undefined
+            ? Math.random : seededRandom(options.seed);
+
+        var string = this.axiom;
+        for(var n = 0; n < this.iterations; n++) {
+            var result = [];
+            for(var i = 0; i < string.length; i++) {
+                var symbol = string.charAt(i);
+                var rule = this.rules.hasOwnProperty(symbol)
+                    ? this.rules[symbol] : symbol;
+                result.push(typeof rule === "string"
+                            ? rule : chooseSuccessor(rule, random));
+            }
+            string = result.join("");
+        }
+        this.string = string;
+    }
+
+    // Pick one of the successors of a stochastic rule.  Each successor
+    // is a string (with weight 1) or an array of a string and a weight.
+    function chooseSuccessor(successors, random) {
+        var total = 0, i;
+        for(i = 0; i < successors.length; i++)
+            total += typeof successors[i] === "string" ? 1 : successors[i][1];
+        var r = random() * total;
+        for(i = 0; i < successors.length; i++) {
+            var successor = successors[i];
+            if (typeof successor === "string") successor = [successor, 1];
+            r -= successor[1];
+            if (r < 0) return successor[0];
+        }
+        return successor[0];
+    }
+
+    LSystem.prototype = {
+        constructor: LSystem,
+
+        // Perform the actions for each symbol of the string
+        _run: function(c, actions) {
+            for(var i = 0; i < this.string.length; i++) {
+                var symbol = this.string.charAt(i);
+                var action = actions[symbol];
+                if (typeof action === "function") action.call(c, c, symbol);
+                else if (typeof action === "string") c[action]();
+                else if (action) c[action[0]].apply(c, action.slice(1));
+            }
+        },
+
+        /**
+         * Draw the L-system into the canto c with turtle graphics commands,
+         * starting at the current point or at the origin.  Like svgpath(),
+         * this method adds to the current path but does not stroke it.
+         * The options object may have these properties:
+         *
+         *   actions: an object that maps symbols to actions.  An action is
+         *     a function (invoked with the canto as this and its argument),
+         *     the name of a canto method, or an array holding a method name
+         *     and its arguments, such as ["fd", 5].  Symbols without an
+         *     action are ignored.  These actions are added to the defaults:
+         *     "F" and "G" move forward drawing a line, "f" moves forward
+         *     without drawing, "+" turns right, "-" turns left, "|" turns
+         *     around, and "[" and "]" are pushTurtle() and popTurtle().
+         *   step: the distance moved by the default actions.  Default 10.
+         *   angle: the angle turned by the default actions, in the units of
+         *     the canto's angleUnit.  Default: a right angle.
+         *   fit: if true, the drawing is scaled and centered to fit the
+         *     canvas, as measured in the current coordinate system.
+         *   margin: the margin to leave when fitting.  Default 10.
+         */
+        draw: function(c, options) {
+            options = options || {};
+            var step = options.step === undefined ? 10 : options.step;
+            var angle = options.angle === undefined
+                ? (c.angleUnit === "degrees" ? 90 : pi/2) : options.angle;
+            // Move forward with the pen down or up, whatever its state
+            function move(penup) {
+                return function(c) {
+                    var oldpenup = c._penup;
+                    c._penup = penup;
+                    c.fd(step);
+                    c._penup = oldpenup;
+                };
+            }
+            var actions = {
+                F: move(false), G: move(false), f: move(true),
+                "+": ["rt", angle], "-": ["lt", angle],
+                "|": function(c) { c._orientation += pi; },
+                "[": "pushTurtle", "]": "popTurtle"
+            };
+            for(var symbol in options.actions)
+                actions[symbol] = options.actions[symbol];
+
+            if (!options.fit) {
+                if (c.currentX === undefined) c.moveTo(0,0);
+                this._run(c, actions);
+                return c;
+            }
+
+            // To fit the drawing, first draw it in a recording canto,
+            // and measure it.
+            var test = canto(canto.recordingCanvas(c.width, c.height));
+            test.set({angleUnit: c.angleUnit, heading: c.heading,
+                      penState: c.penState});
+            test.moveTo(0,0);
+            this._run(test, actions);
+            var box = pathBounds(test.getPath()) || [0, 0, 0, 0];
+            var margin = options.margin === undefined ? 10 : options.margin;
+            var w = box[2] - box[0] || 1, h = box[3] - box[1] || 1;
+            var scale = Math.min((c.width - 2*margin)/w,
+                                 (c.height - 2*margin)/h);
+
+            // The fitting transformation is relative to the current one,
+            // so a fitted drawing can be placed with translate() or group()
+            c.save();
+            c.transform(scale, 0, 0, scale,
+                        (c.width - w*scale)/2 - box[0]*scale,
+                        (c.height - h*scale)/2 - box[1]*scale);
+            c.moveTo(0,0);
+            this._run(c, actions);
+            c.restore();
+            return c;
+        }
+    };
+
+    /*
+     * Colors
+     */
+
+    // The CSS named colors, as name:hex pairs
+    var colorNames = (
+        "aliceblue:f0f8ff,antiquewhite:faebd7,aqua:00ffff,aquamarine:7fffd4," +
+        "azure:f0ffff,beige:f5f5dc,bisque:ffe4c4,black:000000," +
+        "blanchedalmond:ffebcd,blue:0000ff,blueviolet:8a2be2,brown:a52a2a," +
+        "burlywood:deb887,cadetblue:5f9ea0,chartreuse:7fff00," +
+        "chocolate:d2691e,coral:ff7f50,cornflowerblue:6495ed,cornsilk:fff8dc," +
+        "crimson:dc143c,cyan:00ffff,darkblue:00008b,darkcyan:008b8b," +
+        "darkgoldenrod:b8860b,darkgray:a9a9a9,darkgreen:006400," +
+        "darkgrey:a9a9a9,darkkhaki:bdb76b,darkmagenta:8b008b," +
+        "darkolivegreen:556b2f,darkorange:ff8c00,darkorchid:9932cc," +
+        "darkred:8b0000,darksalmon:e9967a,darkseagreen:8fbc8f," +
+        "darkslateblue:483d8b,darkslategray:2f4f4f,darkslategrey:2f4f4f," +
+        "darkturquoise:00ced1,darkviolet:9400d3,deeppink:ff1493," +
+        "deepskyblue:00bfff,dimgray:696969,dimgrey:696969,dodgerblue:1e90ff," +
+        "firebrick:b22222,floralwhite:fffaf0,forestgreen:228b22," +
+        "fuchsia:ff00ff,gainsboro:dcdcdc,ghostwhite:f8f8ff,gold:ffd700," +
+        "goldenrod:daa520,gray:808080,green:008000,greenyellow:adff2f," +
+        "grey:808080,honeydew:f0fff0,hotpink:ff69b4,indianred:cd5c5c," +
+        "indigo:4b0082,ivory:fffff0,khaki:f0e68c,lavender:e6e6fa," +
+        "lavenderblush:fff0f5,lawngreen:7cfc00,lemonchiffon:fffacd," +
+        "lightblue:add8e6,lightcoral:f08080,lightcyan:e0ffff," +
+        "lightgoldenrodyellow:fafad2,lightgray:d3d3d3,lightgreen:90ee90," +
+        "lightgrey:d3d3d3,lightpink:ffb6c1,lightsalmon:ffa07a," +
+        "lightseagreen:20b2aa,lightskyblue:87cefa,lightslategray:778899," +
+        "lightslategrey:778899,lightsteelblue:b0c4de,lightyellow:ffffe0," +
+        "lime:00ff00,limegreen:32cd32,linen:faf0e6,magenta:ff00ff," +
+        "maroon:800000,mediumaquamarine:66cdaa,mediumblue:0000cd," +
+        "mediumorchid:ba55d3,mediumpurple:9370db,mediumseagreen:3cb371," +
+        "mediumslateblue:7b68ee,mediumspringgreen:00fa9a," +
+        "mediumturquoise:48d1cc,mediumvioletred:c71585,midnightblue:191970," +
+        "mintcream:f5fffa,mistyrose:ffe4e1,moccasin:ffe4b5," +
+        "navajowhite:ffdead,navy:000080,oldlace:fdf5e6,olive:808000," +
+        "olivedrab:6b8e23,orange:ffa500,orangered:ff4500,orchid:da70d6," +
+        "palegoldenrod:eee8aa,palegreen:98fb98,paleturquoise:afeeee," +
+        "palevioletred:db7093,papayawhip:ffefd5,peachpuff:ffdab9,peru:cd853f," +
+        "pink:ffc0cb,plum:dda0dd,powderblue:b0e0e6,purple:800080," +
+        "rebeccapurple:663399,red:ff0000,rosybrown:bc8f8f,royalblue:4169e1," +
+        "saddlebrown:8b4513,salmon:fa8072,sandybrown:f4a460,seagreen:2e8b57," +
+        "seashell:fff5ee,sienna:a0522d,silver:c0c0c0,skyblue:87ceeb," +
+        "slateblue:6a5acd,slategray:708090,slategrey:708090,snow:fffafa," +
+        "springgreen:00ff7f,steelblue:4682b4,tan:d2b48c,teal:008080," +
+        "thistle:d8bfd8,tomato:ff6347,turquoise:40e0d0,violet:ee82ee," +
+        "wheat:f5deb3,white:ffffff,whitesmoke:f5f5f5,yellow:ffff00," +
+        "yellowgreen:9acd32").split(",");
+
+    // A number in a CSS color function, with an optional unit
+    var colorArgument =
+        /^([+\-]?(\d+\.?\d*|\.\d+)(e[+\-]?\d+)?)(%|deg|rad|grad|turn)?$/;
+
+    // Parse a CSS color string into [r, g, b, a], or return null
+    function parseColor(text) {
+        var s = String(text).replace(/^\s+|\s+$/g, "").toLowerCase(), m;
+        if (s === "transparent") return [0, 0, 0, 0];
+        for(var i = 0; i < colorNames.length; i++) {
+            var pair = colorNames[i].split(":");
+            if (pair[0] === s) {
+                s = "#" + pair[1];
+                break;
+            }
+        }
+
+        if ((m = /^#([0-9a-f]{3,8})$/.exec(s))) {
+            var hex = m[1];
+            if (hex.length === 3 || hex.length === 4)
+                hex = hex.replace(/./g, "$&$&");
+            if (hex.length !== 6 && hex.length !== 8) return null;
+            var rgba = [];
+            for(i = 0; i < hex.length; i += 2)
+                rgba.push(parseInt(hex.substring(i, i+2), 16));
+            rgba[3] = rgba.length > 3 ? rgba[3]/255 : 1;
+            return rgba;
+        }
+
+        if (!(m = /^(rgba?|hsla?)\((.*)\)$/.exec(s))) return null;
+        var args = m[2].replace(/^\s+|\s+$/g, "").split(/\s*[,\/]\s*|\s+/);
+        if (args.length !== 3 && args.length !== 4) return null;
+        var values = [];
+        for(i = 0; i < args.length; i++) {
+            var n = colorArgument.exec(args[i]);
+            if (!n) return null;
+            var value = parseFloat(n[1]), unit = n[4];
+            if (i === 3) value = unit === "%" ? value/100 : value;
+            else if (m[1].charAt(0) === "r")
+                value = unit === "%" ? value*2.55 : value;
+            else if (i === 0) {
+                value *= {rad: 180/pi, grad: 0.9, turn: 360}[unit] || 1;
+            }
+            else value /= 100;
+            values.push(value);
+        }
+        if (values.length === 3) values.push(1);
+        if (m[1].charAt(0) === "h") {
+            values = hslToRGB(values[0], values[1], values[2]).
+                concat(values[3]);
+        }
+        return values;
+    }
+
+    // Convert hue (degrees), saturation and lightness (0 to 1) to RGB
+    function hslToRGB(h, s, l) {
+        h = ((h % 360) + 360) % 360;
+        s = clamp(s, 0, 1);
+        l = clamp(l, 0, 1);
+        var c = (1 - abs(2*l - 1))*s, x = c*(1 - abs((h/60) % 2 - 1));
+        var m = l - c/2, rgb;
+        if (h < 60) rgb = [c, x, 0];
+        else if (h < 120) rgb = [x, c, 0];
+        else if (h < 180) rgb = [0, c, x];
+        else if (h < 240) rgb = [0, x, c];
+        else if (h < 300) rgb = [x, 0, c];
+        else rgb = [c, 0, x];
+        return [(rgb[0] + m)*255, (rgb[1] + m)*255, (rgb[2] + m)*255];
+    }
+
+    // Convert RGB (0 to 255) to [hue, saturation, lightness]
+    function rgbToHSL(r, g, b) {
+        r /= 255;
+        g /= 255;
+        b /= 255;
+        var max = Math.max(r, g, b), min = Math.min(r, g, b);
+        var l = (max + min)/2, d = max - min, h = 0, s = 0;
+        if (d > 0) {
+            s = d/(1 - abs(2*l - 1));
+            if (max === r) h = 60*(((g - b)/d) % 6);
+            else if (max === g) h = 60*((b - r)/d + 2);
+            else h = 60*((r - g)/d + 4);
+        }
+        return [(h + 360) % 360, s, l];
+    }
+
+    function clamp(x, min, max) { return Math.min(Math.max(x, min), max); }
+
+    /**
+     * The constructor for color objects.  This constructor is private.
+     * Use the canto.color() factory function instead.
+     * @constructor
+     * @private
+     */
+    function CantoColor(r, g, b, a) {
+        this.r = clamp(r, 0, 255);
+        this.g = clamp(g, 0, 255);
+        this.b = clamp(b, 0, 255);
+        this.a = clamp(a === undefined ? 1 : a, 0, 1);
+    }
+
+    // Color objects are immutable: their methods return new colors.
+    // See canto.color() for documentation.
+    CantoColor.prototype = {
+        constructor: CantoColor,
+
+        toHSL: function() { return rgbToHSL(this.r, this.g, this.b); },
+
+        // Return a new color with a change to its hue, saturation
+        // and lightness
+        _adjustHSL: function(dh, ds, dl) {
+            var hsl = this.toHSL();
+            var rgb = hslToRGB(hsl[0] + dh, hsl[1] + ds, hsl[2] + dl);
+            return new CantoColor(rgb[0], rgb[1], rgb[2], this.a);
+        },
+
+        lighten: function(amount) { return this._adjustHSL(0, 0, amount); },
+        darken: function(amount) { return this._adjustHSL(0, 0, -amount); },
+        saturate: function(amount) { return this._adjustHSL(0, amount, 0); },
+        desaturate: function(amount) {
+            return this._adjustHSL(0, -amount, 0);
+        },
+        rotate: function(degrees) { return this._adjustHSL(degrees, 0, 0); },
+
+        mix: function(color, weight) {
+            color = canto.color(color);
+            var w = weight === undefined ? 0.5 : weight, v = 1 - w;
+            return new CantoColor(v*this.r + w*color.r, v*this.g + w*color.g,
+                                  v*this.b + w*color.b, v*this.a + w*color.a);
+        },
+
+        alpha: function(a) {
+            return new CantoColor(this.r, this.g, this.b, a);
+        },
+
+        toString: function() {
+            var r = Math.round(this.r), g = Math.round(this.g);
+            var b = Math.round(this.b);
+            if (this.a === 1) {
+                var hex = ((1 << 24) + (r << 16) + (g << 8) + b).toString(16);
+                return "#" + hex.substring(1);
+            }
+            return "rgba(" + r + ", " + g + ", " + b + ", " +
+                Math.round(this.a*1000)/1000 + ")";
+        }
+    };
+
+    // Convert color objects to strings for the 2D context
+    function colorValue(x) {
+        return x instanceof CantoColor ? x.toString() : x;
+    }
+
+    /*
+     * Generated patterns
+     */
+
+    // Create an offscreen canvas of the specified size and call draw()
+    // with a canto for it
+    function patternTile(width, height, draw) {
+        var tile = document.createElement("canvas");
+        tile.width = Math.max(Math.round(width), 1);
+        tile.height = Math.max(Math.round(height), 1);
+        draw(canto(tile));
+        return tile;
+    }
+
+    // Return a repeating pattern of a tile drawn by draw()
+    function tilePattern(width, height, draw) {
+        var tile = patternTile(width, height, draw);
+        return tile.getContext("2d").createPattern(tile, "repeat");
+    }
+
+    // Return the value of a pattern option, or its default value
+    function option(options, name, defaultValue) {
+        return options && options[name] !== undefined
+            ? options[name] : defaultValue;
+    }
+
+    // Fill a tile with the background color of the options, if any
+    function tileBackground(c, options) {
+        var background = option(options, "background", null);
+        if (background) c.fillRect(0, 0, c.width, c.height,
+                                   {fillStyle: background});
+    }
+
+    // Return a pattern of parallel lines, as for canto.hatch().  If cross
+    // is true, add the lines of the mirror image too.  At an angle other
+    // than a multiple of 90 degrees, lines spacing apart repeat in a tile
+    // spacing/|sin| wide and spacing/|cos| high, with one line along its
+    // diagonal.  The tile is rounded to whole pixels, which may adjust
+    // the angle and spacing a little.
+    function linePattern(options, defaultAngle, defaultSpacing,
+                         defaultLineWidth, cross) {
+        var angle = option(options, "angle", defaultAngle)*pi/180;
+        var spacing = option(options, "spacing", defaultSpacing);
+        var lineWidth = option(options, "lineWidth", defaultLineWidth);
+        var color = option(options, "color", "#000");
+        var sine = abs(sin(angle)), cosine = abs(cos(angle));
+        var horizontal = sine < 1e-6, vertical = cosine < 1e-6;
+        var w = horizontal || vertical ? spacing : Math.round(spacing/sine);
+        var h = horizontal || vertical ? spacing : Math.round(spacing/cosine);
+        var down = sin(angle)*cos(angle) > 0;  // Do lines slope down?
+
+        return tilePattern(w, h, function(c) {
+            w = c.width;
+            h = c.height;
+            tileBackground(c, options);
+            c.beginPath();
+            if (horizontal || vertical) {
+                if (horizontal || cross) c.M(0, h/2).L(w, h/2);
+                if (vertical || cross) c.M(w/2, 0).L(w/2, h);
+            }
+            else {
+                // Draw neighboring lines too, for the corners of the tile
+                for(var x = -w; x <= w; x += w) {
+                    if (down || cross) c.M(x, 0).L(x + w, h);
+                    if (!down || cross) c.M(x, h).L(x + w, 0);
+                }
+            }
+            c.stroke({strokeStyle: color, lineWidth: lineWidth});
+        });
+    }
+
+    // The canto() factory function.
     // This is the entry point to the Canto library.
-    return function canto(canvas) {
+    function canto(canvas) {
         if (typeof canvas === "string")
             canvas = document.getElementById(canvas);
         if (!canvas._$canto)
             canvas._$canto = new Canto(canvas);
         return canvas._$canto;
+    }
+
+    /*
+     * Static functions
+     */
+
+    /**
+     * Parse the SVG path string d once and return a function that draws
+     * that path.  The returned function expects a canto object (or a 2D
+     * context) as its first argument, and optional x and y offsets and
+     * an optional scale factor as its remaining arguments.  It
+     * translates and scales as requested, draws the path, and then
+     * restores the original transformation. Like svgpath(), it
+     * does not call beginPath(), and it returns the canto.
+     */
+    canto.compileSVGPath = compileSVGPath;
+
+    /**
+     * Return a new canto object that draws into an SVG document instead
+     * of a canvas.  It supports the same path, drawing, attribute,
+     * gradient, text and image methods, and its toSVGString() method
+     * returns the drawing as an SVG document.  Shadows, compositing,
+     * patterns, pixel methods and isPointInPath() are not supported, and
+     * clearRect() can only clear the entire drawing.
+     */
+    canto.svg = function(width, height) {
+        var canvas = standInCanvas(width, height, SVGContext);
+        canvas._$canto = new Canto(canvas);
+        return canvas._$canto;
+    };
+
+    /**
+     * Return a new path object.  Path objects support the path building
+     * methods of a canto (moveTo(), lineTo(), the SVG path commands,
+     * arc(), ellipse(), rect(), polygon(), svgpath() and so on) and
+     * record a path without drawing anything.  Pass a path object to the
+     * fill(), stroke(), paint(), clip() and isPointInPath() methods of
+     * any canto to use it instead of that canto's current path. Where the
+     * browser supports Path2D, path objects are built on it. If the
+     * optional argument d is specified, it is passed to svgpath().
+     */
+    canto.path = function(d) {
+        var path = new CantoPath();
+        if (d !== undefined) path.svgpath(d);
+        return path;
+    };
+
+    /**
+     * Return an L-system: an object whose string property holds the
+     * result of rewriting options.axiom options.iterations times using
+     * options.rules, and whose draw() method draws that string into a
+     * canto with turtle graphics.  options.rules maps symbols to their
+     * replacement strings.  For stochastic rules, the replacement may
+     * also be an array of alternatives, each a string or an array of a
+     * string and a weight, such as [["F[+F]F", 2], "F[-F]F"].  If
+     * options.seed is specified, the alternatives are chosen with a
+     * pseudo-random generator seeded with it, so that the result is
+     * reproducible.
+     */
+    canto.lsystem = function(options) { return new LSystem(options); };
+
+    /**
+     * Return an object that stands in for a canvas element of the
+     * specified size, for testing canto without a browser.  Pass it to
+     * canto() to get a canto object.  Its 2D context draws nothing, but
+     * records every method call and attribute assignment in its log
+     * array, along with a copy of the graphics state at the time. For
+     * example:
+     *
+     *   var c = canto(canto.recordingCanvas(300, 150));
+     *   c.M(0,0).L(10,10).stroke({strokeStyle:"red"});
+     *   var log = c.canvas.getContext("2d").log;
+     *   // log[1] is {call:"lineTo", args:[10,10], state:{...}}
+     */
+    canto.recordingCanvas = function(width, height) {
+        return standInCanvas(width === undefined ? 300 : width,
+                             height === undefined ? 150 : height,
+                             RecordingContext);
+    };
+
+    /**
+     * Return a color object for a CSS color string (a color name, a hex
+     * color, rgb(), rgba(), hsl() or hsla()), for red, green and blue
+     * components from 0 to 255 and an optional alpha from 0 to 1, or for
+     * another color object.  Throws an error for an invalid color.  The
+     * color can be assigned to fillStyle, strokeStyle and shadowColor,
+     * passed to set() and used in the color stops of gradients.  Its r,
+     * g, b and a properties hold its components.  Color objects are
+     * immutable, and these methods return new colors:
+     *   lighten(amount), darken(amount): change the HSL lightness by
+     *     amount, from 0 to 1.
+     *   saturate(amount), desaturate(amount): change the HSL saturation.
+     *   rotate(degrees): change the hue.
+     *   mix(color, weight): mix in another color (or color string), in the
+     *     proportion weight from 0 to 1, which defaults to 0.5.
+     *   alpha(a): the same color with an alpha of a.
+     * Their toHSL() method returns [hue, saturation, lightness], and their
+     * toString() method returns a color string for the 2D context.
+     */
+    canto.color = function(r, g, b, a) {
+        if (r instanceof CantoColor) return r;
+        if (typeof r === "number") return new CantoColor(r, g, b, a);
+        var rgba = parseColor(r);
+        if (!rgba) throw new Error("invalid color: " + r);
+        return new CantoColor(rgba[0], rgba[1], rgba[2], rgba[3]);
+    };
+
+    /**
+     * Set this to true to report unbalanced save() and restore() calls on
+     * the console: a restore() without a matching save(), and save()
+     * calls that are still unmatched when an animation frame ends.  Errors
+     * in canto scripts are also logged (see canto.renderScripts()).
+     */
+    canto.debug = false;
+
+    /**
+     * Add a new drawing method to all canto objects.  fn is called as a
+     * method of the canto, with the arguments passed to the new method.
+     * Arguments beyond the number that fn declares are attribute
+     * arguments, as for fill() and fillRect(): objects of attribute
+     * values, or attribute names followed by values.  The optional
+     * options object may have these properties:
+     *   defaults: an object of attribute values set before the attribute
+     *     arguments each time the method is called.
+     *   autoSave: if true (the default), the method saves the graphics
+     *     state before setting attributes and calling fn, and restores it
+     *     afterward, even if fn throws an exception, so that fn may
+     *     change the transformation and attributes freely.  If false, it
+     *     saves and restores only when there are defaults or attribute
+     *     arguments.
+     * The new method returns the canto, for chaining.  It is an error to
+     * define a method with the name of an existing method or property.
+     */
+    canto.defineMethod = function(name, fn, options) {
+        if (name in Canto.prototype)
+            throw new Error("canto already has a property named " + name);
+        var defaults = options && options.defaults;
+        var autoSave = !options || options.autoSave !== false;
+        Canto.prototype[name] = function() {
+            var attrs = slice(arguments, fn.length);
+            var save = autoSave || defaults || attrs.length > 0;
+            if (save) this.save();
+            try {
+                if (defaults) this.set(defaults);
+                if (attrs.length > 0) this.set.apply(this, attrs);
+                fn.apply(this, slice(arguments, 0, fn.length));
+            }
+            finally {
+                if (save) this.restore();
+            }
+            return this;
+        };
+    };
+
+    /**
+     * Define a named theme for symbolic attribute values.  values is an
+     * object that maps symbol names (without the $) to attribute values.
+     * Use the name as the value of the theme attribute of a canto, or
+     * pass it to canto.setTheme().
+     */
+    canto.defineTheme = function(name, values) { themes[name] = values; };
+
+    /**
+     * Set the global theme, which is searched for symbolic attribute
+     * values that the theme of a canto does not define.  The argument is
+     * a theme object, the name of a theme defined with defineTheme(), or
+     * null for no global theme.
+     */
+    canto.setTheme = function(theme) {
+        if (theme) lookupTheme(theme);  // Check the name
+        globalTheme = theme;
+    };
+
+    /**
+     * Return a pattern of parallel lines, for use as a fillStyle or
+     * strokeStyle.  The optional options object may specify:
+     *   angle: the direction of the lines in degrees, clockwise from
+     *     the X axis.  Default 45.
+     *   spacing: the distance between the lines.  Default 8.
+     *   lineWidth: the width of the lines.  Default 1.
+     *   color: the color of the lines.  Default "#000".
+     *   background: the color between the lines.  Default transparent.
+     * Like all the generated patterns, the pattern repeats a tile drawn
+     * into an offscreen canvas, whose size is rounded to whole pixels.
+     */
+    canto.hatch = function(options) {
+        return linePattern(options, 45, 8, 1, false);
+    };
+
+    /**
+     * Return a pattern of crossing lines: those of canto.hatch() and their
+     * mirror images, which are perpendicular to them at the default
+     * angle of 45 degrees and at 0 degrees. Options are as for hatch().
+     */
+    canto.crosshatch = function(options) {
+        return linePattern(options, 45, 8, 1, true);
+    };
+
+    /**
+     * Return a pattern of stripes: bands of options.color (default "#000")
+     * options.width wide (default 5) separated by bands of
+     * options.background (default transparent) options.gap wide (default
+     * the width).  options.angle is the direction of the stripes in
+     * degrees, clockwise from the X axis (default 0).
+     */
+    canto.stripes = function(options) {
+        var width = option(options, "width", 5);
+        var gap = option(options, "gap", width);
+        return linePattern({angle: option(options, "angle", 0),
+                            spacing: width + gap, lineWidth: width,
+                            color: option(options, "color", "#000"),
+                            background: option(options, "background", null)},
+                           0, 0, 0, false);
     };
 
+    /**
+     * Return a pattern of dots of options.radius (default 2) and
+     * options.color (default "#000") on a square grid options.spacing
+     * apart (default 8), over options.background (default transparent).
+     * If options.stagger is true, every other row is offset by half the
+     * spacing.
+     */
+    canto.dots = function(options) {
+        var spacing = option(options, "spacing", 8);
+        var radius = option(options, "radius", 2);
+        var stagger = option(options, "stagger", false);
+        return tilePattern(spacing, stagger ? 2*spacing : spacing,
+                           function(c) {
+            var w = c.width, h = c.height;
+            tileBackground(c, options);
+            c.beginPath().M(w/2 + radius, w/2).arc(w/2, w/2, radius);
+            if (stagger) {
+                // Half dots at the edges of the lower half
+                for(var x = 0; x <= w; x += w)
+                    c.M(x + radius, 3*w/2).arc(x, 3*w/2, radius);
+            }
+            c.fill({fillStyle: option(options, "color", "#000")});
+        });
+    };
+
+    /**
+     * Return a checkerboard pattern of squares options.size on a side
+     * (default 8), alternately options.color (default "#000") and
+     * options.background (default "#fff").
+     */
+    canto.checkerboard = function(options) {
+        var size = option(options, "size", 8);
+        return tilePattern(2*size, 2*size, function(c) {
+            var n = c.width/2;
+            c.fillRect(0, 0, 2*n, 2*n,
+                       {fillStyle: option(options, "background", "#fff")});
+            c.set("fillStyle", option(options, "color", "#000"));
+            c.fillRect(0, 0, n, n).fillRect(n, n, n, n);
+        });
+    };
+
+    // The attributes of a canto script that renderScripts() copies to its
+    // canvas.  Others, such as src, async and nonce, belong to the script.
+    var canvasAttributes = /^(id|class|style|width|height|title|data-.*)$/i;
+
+    /**
+     * Replace each <script type="x-text/canto"> element within root (the
+     * document by default) with a <canvas> and run the script to draw
+     * into it.  The canvas gets the id, class, style, width, height,
+     * title and data- attributes of the script element, so width and
+     * height size it (the default is 300 by 150), and the others, such as
+     * data- attributes for default styles (see refreshStyle()), apply to
+     * it.  The script runs with this, and a variable named c, bound to
+     * the canto of the canvas.  If the script throws an error, the canvas
+     * is replaced with a <pre class="canto-error"> element showing the
+     * error, which is also logged on the console if canto.debug is true.
+     * Canto calls this function when the document is loaded, and you can
+     * call it again for scripts added later.
+     */
+    canto.renderScripts = function(root) {
+        var scripts = (root || document).
+            querySelectorAll('script[type="x-text/canto"]');
+        for(var i = 0; i < scripts.length; i++) {
+            var script = scripts[i];
+            var canvas = document.createElement("canvas");
+            for(var j = 0; j < script.attributes.length; j++) {
+                var attr = script.attributes[j];
+                if (canvasAttributes.test(attr.name))
+                    canvas.setAttribute(attr.name, attr.value);
+            }
+            script.parentNode.replaceChild(canvas, script);
+            try {
+                var c = canto(canvas);
+                new Function("c", script.text).call(c, c);
+            }
+            catch(e) {
+                var error = document.createElement("pre");
+                error.className = "canto-error";
+                error.appendChild(document.createTextNode(
+                    "canto error: " + (e && e.message || e)));
+                canvas.parentNode.replaceChild(error, canvas);
+                if (canto.debug && typeof console !== "undefined" &&
+                    console.error)
+                    console.error(e);
+            }
+        }
+    };
+
+    // Render canto scripts when the document is loaded
+    if (typeof document !== "undefined" && document.addEventListener) {
+        if (document.readyState === "loading") {
+            document.addEventListener("DOMContentLoaded", function() {
+                canto.renderScripts();
+            }, false);
+        }
+        else {
+            setTimeout(function() { canto.renderScripts(); }, 0);
+        }
+    }
+
+    // Return the canto() factory function.
+    return canto;
+
 }());